@@ -6,7 +6,10 @@
 import HTTP_METHODS from './methods';
 import Settings from './settings';
 import Router, {Route} from './router';
-import Middleware from './middleware';
+import {isMiddleware} from './middleware';
+import {httpRetryPolicy, retryDelay} from './retry';
+import Interceptor from './interceptor';
+import {routingModes, HashHistory} from './history';
 
 
 /**
@@ -28,6 +31,10 @@ export default class Application {
         this.routers = [];
         this.settings = new Settings();
         this.plugins = [];
+        this.histories = {};
+        this.historyEntries = [];
+        this.historyIndex = -1;
+        this.historyCache = [];
     }
 
 
@@ -63,6 +70,16 @@ export default class Application {
      * The callback function is called once the DOM has
      * the `document.readyState` equals to 'interactive'.
      *
+     * Event listeners are added with addEventListener, the handlers set by
+     * other scripts are kept. They are removed by `stop()`.
+     *
+     * The current location is read from the path or, according to the
+     * 'routing mode' setting, from the location hash or the memory history.
+     *
+     * When the 'intercept navigation' setting is enabled, clicks on
+     * same-origin links and form submissions are turned into ajax requests
+     * with history management.
+     *
      *    app.listen(()=> {
      *        console.log('App is listening requests');
      *        console.log('DOM is ready!');
@@ -74,47 +91,186 @@ export default class Application {
      */
 
     listen(callback) {
-        const request = {method: 'GET', uri: window.location.pathname + window.location.search};
+        const history = this._history();
+        const request = {method: 'GET', uri: history.location()};
         const response = {status: 200, statusText: 'OK'};
         const currentRoutes = this._routes(request);
 
-        this._callMiddlewareMethod('entered', currentRoutes, request);
+        // the page reloaded on an entry created by frontexpress keeps its position
+        const state = history.state ? history.state() : null;
+        const position = isFrontexpressState(state) && typeof state.position === 'number' ? state.position : 0;
 
-        // manage history
-        window.onpopstate = (event) => {
-            if (event.state) {
-                const {request, response} = event.state;
-                [
-                    'exited',
-                    'entered',
-                    'updated'
-                ].forEach(middlewareMethod => this._callMiddlewareMethod(middlewareMethod, this._routes(request), request, response));
+        // the updated method waits for the DOM and the entered method
+        let entered = false;
+        let domReady = false;
+        const update = () => {
+            if (!entered || !domReady) {
+                return;
             }
+            this.plugins.forEach(pluginObject => pluginObject.plugin(this));
+            this._callMiddlewareMethod('updated', currentRoutes, request, response, () => {
+                if (callback) {
+                    callback(request, response);
+                }
+            });
         };
 
+        this._callMiddlewareMethod('entered', currentRoutes, request, undefined, () => {
+            entered = true;
+            update();
+        });
+        this._fillHistoryEntries(position);
+        if (position > 0 && state.initialUri !== undefined) {
+            this.historyEntries[0] = {uri: state.initialUri};
+        }
+        this._recordHistoryEntry(position, {request, response, uri: request.uri});
+
+        // manage links and forms
+        if (this.interceptor) {
+            this.interceptor.stop();
+            this.interceptor = null;
+        }
+        if (this.get('intercept navigation')) {
+            this.interceptor = new Interceptor(this);
+            this.interceptor.listen();
+        }
+
+        // manage history
+        if (this.get('scroll restoration') && history.manageScroll) {
+            history.manageScroll();
+        }
+        history.listen(state => this._popState(history, state));
+
         // manage page loading/refreshing
-        window.onbeforeunload = () => {
+        history.unload(() => {
+            // asynchronous guards cannot be waited for: the user is asked to confirm
+            const blocked = this._visitedRoutes().some((route) => {
+                try {
+                    const outcome = route.middleware.canExit && route.middleware.canExit(route.visited);
+                    return outcome !== undefined && outcome !== true;
+                } catch (error) {
+                    return true;
+                }
+            });
+            if (blocked) {
+                return false;
+            }
             this._callMiddlewareMethod('exited');
-        };
+        });
 
-        const whenPageIsInteractiveFn = () => {
-            this.plugins.forEach(pluginObject => pluginObject.plugin(this));
-            this._callMiddlewareMethod('updated', currentRoutes, request, response);
-            if (callback) {
-                callback(request, response);
-            }
-        };
+        history.ready(() => {
+            domReady = true;
+            update();
+        });
+    }
 
-        document.onreadystatechange = () => {
-            // DOM ready state
-            if (document.readyState === 'interactive') {
-                whenPageIsInteractiveFn();
-            }
-        };
 
-        if (['interactive', 'complete'].indexOf(document.readyState) !== -1) {
-            whenPageIsInteractiveFn();
+    /**
+     * Stop listening: remove the event listeners added by `listen()`, abort
+     * the navigation in progress and reset the visited routes. The
+     * application can listen again later.
+     *
+     *    // unmount
+     *    app.stop();
+     *
+     * @return {app} for chaining
+     * @public
+     */
+
+    stop() {
+        this._history().stop();
+        if (this.interceptor) {
+            this.interceptor.stop();
+            this.interceptor = null;
+        }
+        if (this._navigation) {
+            this._navigation.handle.abort();
         }
+        this.routers.forEach((router) => {
+            router.visited().forEach((route) => {
+                route.visited = null;
+            });
+        });
+        return this;
+    }
+
+
+    /**
+     * Stop the application and release its routers, plugins and history.
+     *
+     * @public
+     */
+
+    destroy() {
+        this.stop();
+        this.routers = [];
+        this.plugins = [];
+        this.histories = {};
+        this.historyEntries = [];
+        this.historyIndex = -1;
+        this.historyCache = [];
+    }
+
+
+    /**
+     * Move backward (negative _delta_) or forward (positive _delta_) in the
+     * history. The middleware of the entry reached are called as when
+     * the browser back and forward buttons are pressed.
+     *
+     *    // back to the second previous page
+     *    app.go(-2);
+     *
+     * @param {Number} delta
+     * @return {app} for chaining
+     * @public
+     */
+
+    go(delta) {
+        this._history().go(delta);
+        return this;
+    }
+
+
+    /**
+     * Move to the previous entry of the history.
+     *
+     * @return {app} for chaining
+     * @public
+     */
+
+    back() {
+        return this.go(-1);
+    }
+
+
+    /**
+     * Move to the next entry of the history.
+     *
+     * @return {app} for chaining
+     * @public
+     */
+
+    forward() {
+        return this.go(1);
+    }
+
+
+    /**
+     * Return a view of the history entries managed by frontexpress: the
+     * entries (request, response, title, uri) and the index of the current one.
+     *
+     *    const {entries, index} = app.history;
+     *    const previousPage = entries[index - 1];
+     *
+     * @return {Object}
+     * @public
+     */
+
+    get history() {
+        return {
+            index: this.historyIndex,
+            entries: this.historyEntries.map(({request, response, title, uri}) => ({request, response, title, uri}))
+        };
     }
 
 
@@ -149,6 +305,9 @@ export default class Application {
      *    // middleware object will be applied on path "/"
      *    app.use(new Middleware());
      *
+     *    // plain object with the middleware methods of its phases
+     *    app.use({entered(req) {}, updated(req, res) {}, exited(req) {}});
+     *
      *    // use a plugin
      *    app.use({
      *      name: 'My plugin name',
@@ -158,7 +317,7 @@ export default class Application {
      *    });
      *
      * @param {String} uri
-     * @param {Middleware|Function|plugin} middleware object, middleware function, plugin
+     * @param {Middleware|Object|Function|plugin} middleware object, middleware function, plugin
      * @return {app} for chaining
      *
      * @public
@@ -186,6 +345,38 @@ export default class Application {
     }
 
 
+    /**
+     * Navigate to _uri_ without any HTTP request.
+     *
+     * The browser history is updated and the middleware of the routes matching
+     * the _uri_ (GET method) are called as for an ajax request but with a
+     * synthetic response `{status: 200, statusText: 'OK'}`.
+     *
+     *    app.navigate('/settings');
+     *
+     *    // replace current history entry and store a state
+     *    app.navigate('/settings?tab=2', {state: {tab: 2}, title: 'settings', replace: true});
+     *
+     * @param {String} uri
+     * @param {Object} options, state, title and replace (History#replaceState instead of History#pushState)
+     * @return {Promise} resolved with {request, response}, the response is
+     *                   flagged `cancelled` or `aborted` when the navigation
+     *                   has not been done
+     * @public
+     */
+
+    navigate(uri, {state, title, replace}={}) {
+        const request = {method: 'GET', uri, history: {uri, state, title, replace}};
+        return new Promise((resolve, reject) => {
+            this._fetch(request,
+                (request, response) => resolve({request, response}),
+                // a navigation cancelled by a guard or aborted is an outcome, not an error
+                (request, response) => (response.cancelled || response.aborted ? resolve : reject)({request, response}),
+                {requester: clientSideRequester});
+        });
+    }
+
+
     /**
      * Gather routes from all routers filtered by _uri_ and HTTP _method_.
      * See Router#routes() documentation for details.
@@ -201,13 +392,342 @@ export default class Application {
     }
 
 
+    /**
+     * Return the history implementation of the 'routing mode' setting.
+     *
+     * @private
+     */
+
+    _history() {
+        const mode = this.get('routing mode');
+        if (typeof mode === 'object') {
+            // custom history implementation
+            return mode;
+        }
+        if (!this.histories[mode]) {
+            this.histories[mode] = new routingModes[mode]();
+        }
+        return this.histories[mode];
+    }
+
+
+    /**
+     * Handle the move of _history_ to an entry with _state_ (back, forward...).
+     *
+     * The `canExit` guards of the visited routes can block the move, then
+     * the entry left is restored.
+     *
+     * @private
+     */
+
+    _popState(history, state) {
+        if (this._revertingPopState) {
+            // move back to the entry left after a blocked move
+            this._revertingPopState = false;
+            return;
+        }
+
+        const uri = history.location();
+        const tracked = isFrontexpressState(state);
+        let position = tracked ? state.position : undefined;
+        if (!tracked && this._isInitialEntry(uri)) {
+            position = 0;
+        } else if (!tracked && history instanceof HashHistory) {
+            position = this.historyIndex + 1;
+        }
+
+        const popState = () => {
+            this._saveScrollPosition();
+            if (tracked) {
+                const {request, response} = state;
+                const entry = this.historyEntries[position];
+                if (!entry || entry.uri === undefined) {
+                    // entry created before the page was loaded again
+                    this._fillHistoryEntries(position);
+                    const {title, uri} = request.history || {};
+                    this.historyEntries[position] = {request, response, title, uri};
+                }
+                this.historyIndex = position;
+                this._updateDocumentTitle(request.history);
+                this._restoreEntry(request, response);
+            } else {
+                this._routeUntrackedEntry(history);
+            }
+        };
+
+        if (position === this.historyIndex) {
+            popState();
+            return;
+        }
+
+        const nextRequest = tracked ? state.request : {method: 'GET', uri};
+        checkGuards(this._visitedRoutes(), route => route.middleware.canExit && route.middleware.canExit(route.visited, nextRequest), (outcome) => {
+            if (outcome === true) {
+                popState();
+            } else if (position !== undefined) {
+                this._revertingPopState = true;
+                history.go(this.historyIndex - position);
+            }
+        });
+    }
+
+
+    /**
+     * Return the routes visited by the current navigation.
+     *
+     * @private
+     */
+
+    _visitedRoutes() {
+        return this.routers.reduce((acc, router) => {
+            acc.push(...router.visited());
+            return acc;
+        }, []);
+    }
+
+
+    /**
+     * Call the middleware of an history entry reached by going back or
+     * forward, according to the 'history restore strategy' setting:
+     *
+     *   - 'replay': the _request_ and _response_ stored in the entry state
+     *   - 'refetch': the GET _request_ is sent again
+     *   - 'cache': the request and response cached for the entry uri, or
+     *     the GET _request_ is sent again when not in the cache
+     *
+     * @private
+     */
+
+    _restoreEntry(request, response) {
+        const strategy = this.get('history restore strategy');
+        const cachedEntry = strategy === 'cache' && this._cachedEntry(request.history.uri);
+        if (cachedEntry) {
+            ({request, response} = cachedEntry);
+        } else if (strategy !== 'replay' && request.method === 'GET') {
+            this._fetch(Object.assign({}, request), null, null, {restore: true});
+            return;
+        }
+
+        const currentRoutes = this._routes(request);
+        const position = this._savedScrollPosition();
+        this._callMiddlewareMethod('exited');
+        this._callMiddlewareMethod('entered', currentRoutes, request, response, () => {
+            this._callMiddlewareMethod('updated', currentRoutes, request, response, () => {
+                this._scroll(currentRoutes, request, response, position);
+            });
+        });
+    }
+
+
+    /**
+     * Record the scroll position of the current history entry when the
+     * 'scroll restoration' setting is enabled.
+     *
+     * @private
+     */
+
+    _saveScrollPosition() {
+        const history = this._history();
+        const entry = this.historyEntries[this.historyIndex];
+        if (entry && this.get('scroll restoration') && history.scrollPosition) {
+            entry.scroll = history.scrollPosition();
+        }
+    }
+
+
+    /**
+     * Return the scroll position recorded for the current history entry,
+     * the top of the page when none.
+     *
+     * @private
+     */
+
+    _savedScrollPosition() {
+        const entry = this.historyEntries[this.historyIndex];
+        return (entry && entry.scroll) || {x: 0, y: 0};
+    }
+
+
+    /**
+     * Scroll to _position_ when the 'scroll restoration' setting is enabled.
+     * The `scroll` method of the middleware of the _currentRoutes_ can
+     * override the position or return `false` to keep the scroll unchanged.
+     *
+     * @private
+     */
+
+    _scroll(currentRoutes, request, response, position) {
+        const history = this._history();
+        if (!this.get('scroll restoration') || !history.scrollTo) {
+            return;
+        }
+
+        const overriddenPosition = currentRoutes.reduce((acc, route) => {
+            if (acc === undefined && route.middleware.scroll) {
+                return route.middleware.scroll(request, response, position);
+            }
+            return acc;
+        }, undefined);
+        if (overriddenPosition === false) {
+            return;
+        }
+        history.scrollTo(overriddenPosition || position);
+    }
+
+
+    /**
+     * Return the request and response cached for the history entry _uri_.
+     *
+     * @private
+     */
+
+    _cachedEntry(uri) {
+        return this.historyCache.filter(entry => entry.uri === uri)[0];
+    }
+
+
+    /**
+     * Cache the _request_ and _response_ of the history entry _uri_. The
+     * oldest entries are dropped beyond the 'history cache size' setting.
+     *
+     * @private
+     */
+
+    _cacheEntry(uri, request, response) {
+        this.historyCache = this.historyCache.filter(entry => entry.uri !== uri);
+        this.historyCache.push({uri, request, response});
+        this.historyCache.splice(0, this.historyCache.length - this.get('history cache size'));
+    }
+
+
+    /**
+     * Route the current entry of _history_ which has no frontexpress state:
+     * the initial entry or, in hash mode, an entry created by a link to a
+     * hash or by the address bar. The entry is routed without ajax request
+     * unless the 'refetch untracked entries' setting is enabled.
+     *
+     * @private
+     */
+
+    _routeUntrackedEntry(history) {
+        const uri = history.location();
+        const options = this.get('refetch untracked entries') ? {} : {requester: clientSideRequester};
+        const currentEntry = this.historyEntries[this.historyIndex];
+
+        if (this._isInitialEntry(uri)) {
+            // back to the initial entry
+            if (this.historyIndex !== 0) {
+                this.historyEntries[0].uri = uri;
+                this.historyIndex = 0;
+                this._fetch({method: 'GET', uri}, null, null, Object.assign({restore: true}, options));
+            }
+        } else if (history instanceof HashHistory) {
+            // new entry: tagged with a state to be replayed later
+            this._recordHistoryEntry(this.historyIndex + 1, {uri});
+            // the leave guards have been checked already
+            this._fetch({method: 'GET', uri, history: {uri, replace: true}}, null, null, Object.assign({exitChecked: true}, options));
+        } else if (!currentEntry || currentEntry.uri !== uri) {
+            // entry created by another script, unless it only changes the anchor of the current page
+            this._fetch({method: 'GET', uri}, null, null, Object.assign({restore: true}, options));
+        }
+    }
+
+
+    /**
+     * Return whether _uri_ is the one of the initial entry. When the page has
+     * been loaded again and the initial entry is unknown, an entry without
+     * frontexpress state reached from the second one is the initial entry.
+     *
+     * @private
+     */
+
+    _isInitialEntry(uri) {
+        const initialEntry = this.historyEntries[0];
+        if (!initialEntry) {
+            return false;
+        }
+        return initialEntry.uri === undefined ? this.historyIndex === 1 : initialEntry.uri === uri;
+    }
+
+
+    /**
+     * Add empty entries up to _position_ in the history entries: the entries
+     * created before the page was loaded again are unknown until they are
+     * visited.
+     *
+     * @private
+     */
+
+    _fillHistoryEntries(position) {
+        while (this.historyEntries.length < position) {
+            this.historyEntries.push({});
+        }
+    }
+
+
+    /**
+     * Record _entry_ at _position_ in the history entries. Unless the entry
+     * at _position_ is replaced, the entries following it are dropped.
+     *
+     * @private
+     */
+
+    _recordHistoryEntry(position, entry, replace=false) {
+        this.historyEntries.splice(position, replace ? 1 : this.historyEntries.length, entry);
+        this.historyIndex = position;
+    }
+
+
+    /**
+     * Set document title from the _history_ object title when the
+     * 'update document title' setting is enabled.
+     *
+     * @private
+     */
+
+    _updateDocumentTitle(history) {
+        if (history && history.title !== undefined && this.get('update document title')) {
+            document.title = history.title;
+        }
+    }
+
+
     /**
      * Call `Middleware` method or middleware function on _currentRoutes_.
      *
+     * The routes are called one after the other: a middleware function hands
+     * over to the next route when it calls `next()`, possibly later when it
+     * returns a Promise. A `Middleware` object hands over when its method
+     * returns, or when the Promise returned is resolved, and its `next()`
+     * method returns `true` (or a Promise of `true`). The chain runs
+     * synchronously as long as the middleware do.
+     *
+     * An error given to `next(err)`, thrown or rejected by a middleware skips
+     * to the next error-handling middleware function `(err, request,
+     * response, next)`, and to the 'error handler' setting when there is no
+     * more. The errors of a middleware function which has already called
+     * `next()` go straight to the 'error handler' setting.
+     *
+     * _done_ is called once the chain is over: all the routes are called or
+     * a middleware has stopped it. A middleware function which has not called
+     * `next()` when it returns (or when the Promise it returns is settled)
+     * stops the chain: a later call to `next()`, from a timer for instance,
+     * is ignored.
+     *
      * @private
      */
 
-    _callMiddlewareMethod(meth, currentRoutes, request, response) {
+    _callMiddlewareMethod(meth, currentRoutes, request, response, done) {
+        let over = false;
+        const finish = () => {
+            if (!over) {
+                over = true;
+                if (done) {
+                    done();
+                }
+            }
+        };
+
         if (meth === 'exited') {
             // currentRoutes, request, response params not needed
             this.routers.forEach((router) => {
@@ -218,82 +738,520 @@ export default class Application {
                     }
                 });
             });
+            finish();
             return;
         }
 
-        currentRoutes.some((route) => {
-            if (meth === 'updated') {
-                route.visited = request;
+        const dispatch = (index, err) => {
+            const route = currentRoutes[index];
+            if (!route) {
+                if (err) {
+                    this.get('error handler')(err, request, response);
+                }
+                finish();
+                return;
             }
 
-            if (route.middleware[meth]) {
-                route.middleware[meth](request, response);
-                if (route.middleware.next && !route.middleware.next()) {
-                    return true;
-                }
-            } else if (meth !== 'entered') {
-                // calls middleware method
-                let breakMiddlewareLoop = true;
-                const next = () => {
-                    breakMiddlewareLoop = false;
-                };
-                route.middleware(request, response, next);
-                if (breakMiddlewareLoop) {
-                    return true;
+            const {middleware} = route;
+            const isErrorHandler = typeof middleware === 'function' && middleware.length === 4;
+            const fail = error => dispatch(index + 1, error);
+            const uncaught = error => this.get('error handler')(error, request, response);
+
+            if (err) {
+                // skip to the next error-handling middleware function
+                if (isErrorHandler) {
+                    callFunction(next => middleware(err, request, response, next), fail, finish, uncaught);
+                } else {
+                    fail(err);
                 }
+                return;
             }
 
-            return false;
-        });
+            if (meth === 'updated') {
+                route.visited = request;
+            }
+
+            if (middleware[meth]) {
+                attempt(() => middleware[meth](request, response), () => {
+                    attempt(() => middleware.next ? middleware.next() : true, (handOver) => {
+                        if (handOver) {
+                            dispatch(index + 1);
+                        } else {
+                            finish();
+                        }
+                    }, fail);
+                }, fail);
+            } else if (typeof middleware === 'function' && !isErrorHandler && ['updated', 'failed'].indexOf(meth) !== -1) {
+                callFunction(next => middleware(request, response, next), fail, finish, uncaught);
+            } else {
+                dispatch(index + 1);
+            }
+        };
+        dispatch(0);
     }
 
 
     /**
-     * Make an ajax request. Manage History#pushState if history object set.
+     * Make an ajax request. Manage History#pushState (or History#replaceState
+     * when `history.replace` is set) if history object set. The history entry
+     * state is `{request, response, state, position, initialUri}` where _state_
+     * is `history.state`, _position_ the index of the entry and _initialUri_
+     * the uri of the initial entry.
+     *
+     * Return a handle allowing to abort the request. When the
+     * 'abort superseded navigation' setting is enabled, a request with a
+     * history object aborts the previous one still in progress.
+     *
+     * A request lasting more than its timeout (or the 'http timeout' setting)
+     * is aborted and fails with a response flagged `timedOut`.
+     *
+     * A failed request is sent again as long as its retry policy (the
+     * 'http retry' setting completed by the request retry object) allows it.
+     * Middleware `retrying` method is called before each new attempt.
+     *
+     * The request transformer (request transformer object or
+     * 'http <METHOD> transformer' setting) reshapes the request before it is
+     * sent and, if it has a `response` function, the response received.
+     * Then the 'http <METHOD> response transformer' setting reshapes the
+     * response. A succeeded response reshaped with `errors` becomes a failure.
+     *
+     * Options:
+     *
+     *   - requester: replaces the 'http requester' setting and no
+     *     transformers are applied (client-side navigation)
+     *   - restore: the request of an history entry is sent again, it is not
+     *     transformed again and no history entry is added
+     *   - exitChecked: the `canExit` guards have been checked already (move
+     *     in the browser history)
+     *
+     * With the 'history restore strategy' other than 'replay', the body of
+     * the GET responses is not stored in the history entry state.
+     *
+     * The guards are checked first: the `canExit` guards of the visited
+     * routes for a request with history object, then the `canEnter` guards.
+     * The request can be cancelled (failure with a response flagged
+     * `cancelled`) or redirected before anything else happens.
      *
      * @private
      */
 
-    _fetch(req, resolve, reject) {
+    _fetch(req, resolve, reject, options={}) {
+        const {requester, restore, exitChecked, redirects=0} = options;
         let {method, uri, headers, data, history} = req;
+        if (req.timeout === undefined && !requester) {
+            req.timeout = this.get('http timeout');
+        }
 
-        const httpMethodTransformer = this.get(`http ${method} transformer`);
+        // the transformer is not kept in the request which can be stored in history state
+        const httpMethodTransformer = requester ? undefined : req.transformer || this.get(`http ${method} transformer`);
+        delete req.transformer;
+        let _responseFn;
         if (httpMethodTransformer) {
-            const {uri: _uriFn, headers: _headersFn, data: _dataFn } = httpMethodTransformer;
-            req.uri = _uriFn ? _uriFn({uri, headers, data}) : uri;
-            req.headers = _headersFn ? _headersFn({uri, headers, data}) : headers;
-            req.data = _dataFn ? _dataFn({uri, headers, data}) : data;
+            if (!restore) {
+                const {uri: _uriFn, headers: _headersFn, data: _dataFn } = httpMethodTransformer;
+                req.uri = _uriFn ? _uriFn({uri, headers, data}) : uri;
+                req.headers = _headersFn ? _headersFn({uri, headers, data}) : headers;
+                req.data = _dataFn ? _dataFn({uri, headers, data}) : data;
+            }
+            _responseFn = httpMethodTransformer.response;
         }
 
-        // calls middleware exited method
-        this._callMiddlewareMethod('exited');
-
         // gathers all routes impacted by the uri
         const currentRoutes = this._routes(req);
 
-        // calls middleware entered method
-        this._callMiddlewareMethod('entered', currentRoutes, req);
+        // only the first outcome (success, failure, timeout, abort or cancellation) is taken into account
+        let settled = false;
+        let started = false;
+        let pendingRequest;
+        let timer;
+        let retryTimer;
+        const settle = (callback) => (request, response) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            clearTimeout(retryTimer);
+            if (this._navigation && this._navigation.handle === handle) {
+                this._navigation = null;
+            }
+            callback(request, response);
+        };
+
+        const cancelPendingRequest = () => {
+            if (pendingRequest && pendingRequest.abort) {
+                pendingRequest.abort();
+            }
+        };
 
-        // invokes http request
-        this.settings.get('http requester').fetch(req,
-            (request, response) => {
-                if (history) {
-                    window.history.pushState({request, response}, history.title, history.uri);
+        const fail = (request, response) => {
+            this._callMiddlewareMethod('failed', currentRoutes, request, response, () => {
+                if (reject) {
+                    reject(request, response);
+                }
+            });
+        };
+
+        const abort = settle((request, superseded) => {
+            cancelPendingRequest();
+            const response = superseded ?
+                {aborted: true, superseded: true, errors: 'HTTP request superseded'} :
+                {aborted: true, errors: 'HTTP request aborted'};
+            if (started) {
+                this._callMiddlewareMethod('aborted', currentRoutes, req, response);
+            }
+            if (reject) {
+                reject(req, response);
+            }
+        });
+
+        const handle = {
+            abort: () => abort(req, false)
+        };
+
+        const retryPolicy = req.retry === false ? null : Object.assign({}, httpRetryPolicy, this.get('http retry'), req.retry);
+
+        const _responseTransformerFn = requester ? undefined : this.get(`http ${method} response transformer`);
+        const receive = (failed) => (request, response) => {
+            try {
+                if (_responseFn) {
+                    response = _responseFn({request, response}) || response;
+                }
+                if (_responseTransformerFn) {
+                    response = _responseTransformerFn({request, response}) || response;
+                }
+            } catch (errorThrown) {
+                fail(request, Object.assign({}, response, {errorThrown, errors: 'HTTP response transformer failed'}));
+                return;
+            }
+            if (failed || response.errors) {
+                fail(request, response);
+            } else {
+                succeed(request, response);
+            }
+        };
+
+        const succeed = (request, response) => {
+            const strategy = this.get('history restore strategy');
+            if (history && !restore) {
+                this._saveScrollPosition();
+
+                // only structured-cloneable values can be stored in history state
+                const position = history.replace ? Math.max(this.historyIndex, 0) : this.historyIndex + 1;
+                const storedResponse = strategy === 'replay' || method !== 'GET' ? response : withoutBody(response);
+                const initialUri = this.historyEntries.length ? this.historyEntries[0].uri : undefined;
+                const historyState = {request: cloneable(request), response: cloneable(storedResponse), state: history.state, position, initialUri};
+                this._history()[history.replace ? 'replace' : 'push'](historyState, history.title, history.uri);
+                this._recordHistoryEntry(position, {request, response, title: history.title, uri: history.uri}, history.replace);
+                this._updateDocumentTitle(history);
+            }
+            if (history && strategy === 'cache') {
+                this._cacheEntry(history.uri, request, response);
+            }
+            const position = restore ? this._savedScrollPosition() : history && scrollTarget(history.uri);
+            this._callMiddlewareMethod('updated', currentRoutes, request, response, () => {
+                if (position) {
+                    this._scroll(currentRoutes, request, response, position);
                 }
-                this._callMiddlewareMethod('updated', currentRoutes, request, response);
                 if (resolve) {
                     resolve(request, response);
                 }
-            },
-            (request, response) => {
-                this._callMiddlewareMethod('failed', currentRoutes, request, response);
-                if (reject) {
-                    reject(request, response);
+            });
+        };
+
+        // invokes http request, again while the retry policy allows it
+        const send = (attempt) => {
+            pendingRequest = (requester || this.settings.get('http requester')).fetch(req,
+                settle(receive(false)),
+                (request, response) => {
+                    const delay = settled || !retryPolicy ? undefined : retryDelay(retryPolicy, request, response, attempt);
+                    if (delay === undefined) {
+                        settle(receive(true))(request, response);
+                        return;
+                    }
+                    request.attempt = attempt + 1;
+                    this._callMiddlewareMethod('retrying', currentRoutes, request, response);
+                    retryTimer = setTimeout(() => send(attempt + 1), delay);
+                },
+                {successStatus: this.get('http success status')});
+        };
+
+        const start = () => {
+            started = true;
+
+            // aborts the navigation superseded by this one
+            if (history && this._navigation && this.get('abort superseded navigation')) {
+                this._navigation.supersede();
+            }
+
+            if (history) {
+                this._navigation = {handle, supersede: () => abort(req, true)};
+            }
+
+            // calls middleware exited method
+            this._callMiddlewareMethod('exited');
+
+            // calls middleware entered method, the request is sent once they are done
+            this._callMiddlewareMethod('entered', currentRoutes, req, undefined, () => {
+                if (settled) {
+                    // aborted while entering
+                    return;
                 }
+
+                if (req.timeout > 0) {
+                    timer = setTimeout(settle(() => {
+                        cancelPendingRequest();
+                        const errorThrown = new Error(`HTTP request timed out after ${req.timeout}ms`);
+                        errorThrown.name = 'TimeoutError';
+                        fail(req, {timedOut: true, errorThrown, errors: errorThrown.message});
+                    }), req.timeout);
+                }
+
+                send(1);
             });
+        };
+
+        // an history entry restored is not guarded
+        if (restore) {
+            start();
+            return handle;
+        }
+
+        const cancel = settle((request, errors) => {
+            if (reject) {
+                reject(req, {cancelled: true, errors});
+            }
+        });
+
+        // navigation guards: leaving the visited routes and then entering the new ones
+        const enter = (outcome) => {
+            if (settled) {
+                // aborted while waiting for a guard
+                return;
+            }
+            if (outcome === true) {
+                start();
+                return;
+            }
+
+            const redirect = typeof outcome === 'string' ? {uri: outcome} : outcome;
+            if (!redirect || !redirect.uri || redirects >= MAX_REDIRECTS) {
+                cancel(req, redirect && redirect.uri ? 'navigation redirected too many times' : 'navigation cancelled');
+                return;
+            }
+
+            settle(() => {
+                const redirectRequest = Object.assign({method: 'GET'}, redirect);
+                if (history && !redirectRequest.history) {
+                    redirectRequest.history = {uri: redirectRequest.uri, replace: history.replace};
+                }
+                const redirectHandle = this._fetch(redirectRequest, resolve, reject, Object.assign({}, options, {redirects: redirects + 1}));
+                handle.abort = redirectHandle.abort;
+            })();
+        };
+
+        const exitGuard = route => route.middleware.canExit && route.middleware.canExit(route.visited, req);
+        checkGuards(history && !exitChecked ? this._visitedRoutes() : [], exitGuard, (exitOutcome) => {
+            if (settled) {
+                return;
+            }
+            if (exitOutcome !== true) {
+                cancel(req, 'navigation cancelled');
+                return;
+            }
+            checkGuards(currentRoutes, route => route.middleware.canEnter && route.middleware.canEnter(req), enter);
+        });
+
+        return handle;
     }
 }
 
+/**
+ * Return a copy of _value_ which can be stored in history state: functions
+ * and objects like AbortSignal, FormData or DOM nodes are left out.
+ * @private
+ */
+
+const cloneable = (value) => {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' ? undefined : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(cloneable);
+    }
+    if (value instanceof Date || value instanceof RegExp ||
+        (typeof ArrayBuffer !== 'undefined' && (value instanceof ArrayBuffer || ArrayBuffer.isView(value))) ||
+        (typeof Blob !== 'undefined' && value instanceof Blob)) {
+        return value;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+        return undefined;
+    }
+    return Object.keys(value).reduce((acc, key) => {
+        const clonedValue = cloneable(value[key]);
+        if (clonedValue !== undefined) {
+            acc[key] = clonedValue;
+        }
+        return acc;
+    }, {});
+};
+
+
+/**
+ * Return whether the history entry _state_ has been created by frontexpress,
+ * other scripts can push entries with their own state.
+ * @private
+ */
+
+const isFrontexpressState = (state) => {
+    return Boolean(state && state.request);
+};
+
+
+/**
+ * Call _callback_ with the value returned by _call_, once resolved when it
+ * is a Promise. _fail_ is called with the error thrown or the rejection
+ * reason.
+ * @private
+ */
+
+const attempt = (call, callback, fail) => {
+    let value;
+    try {
+        value = call();
+    } catch (error) {
+        fail(error);
+        return;
+    }
+    if (value && typeof value.then === 'function') {
+        value.then(callback, error => fail(error || new Error('middleware promise rejected')));
+    } else {
+        callback(value);
+    }
+};
+
+
+/**
+ * Call a middleware function with a `next(err)` function calling _next_
+ * once. The errors thrown before `next` is called are handed over to _next_
+ * too. The ones thrown by the following middleware are left to propagate,
+ * the other ones thrown, rejected or given to `next` afterwards are handed
+ * over to _uncaught_. _stopped_ is called when `next` has not been called
+ * once the function has returned, or once the Promise it returns is
+ * resolved, then `next()` does nothing anymore.
+ * @private
+ */
+
+const callFunction = (call, next, stopped, uncaught) => {
+    let called = false;
+    let propagated;
+    const nextOnce = (error) => {
+        if (called) {
+            if (error) {
+                uncaught(error);
+            }
+            return;
+        }
+        called = true;
+        try {
+            next(error);
+        } catch (followingError) {
+            propagated = followingError;
+            throw followingError;
+        }
+    };
+    attempt(() => call(nextOnce), () => {
+        if (!called) {
+            called = true;
+            stopped();
+        }
+    }, (error) => {
+        if (!called) {
+            nextOnce(error);
+        } else if (error === propagated) {
+            throw error;
+        } else {
+            uncaught(error);
+        }
+    });
+};
+
+
+/**
+ * Maximum number of redirections by navigation guards.
+ * @private
+ */
+
+const MAX_REDIRECTS = 10;
+
+
+/**
+ * Call the guard of the _routes_ one after another and then _done_ with
+ * `true` when all of them let the navigation go on, otherwise with the
+ * first other outcome (`false` or a redirection). _guard_ returns the
+ * outcome of a route or a Promise of it, a guard throwing an error or
+ * returning a rejected Promise cancels the navigation.
+ * @private
+ */
+
+const checkGuards = (routes, guard, done) => {
+    const check = (index) => {
+        if (index >= routes.length) {
+            done(true);
+            return;
+        }
+        const next = (outcome) => {
+            if (outcome === undefined || outcome === true) {
+                check(index + 1);
+            } else {
+                done(outcome);
+            }
+        };
+        attempt(() => guard(routes[index]), next, () => done(false));
+    };
+    check(0);
+};
+
+
+/**
+ * Return the scroll position of a new navigation to _uri_: its anchor or
+ * the top of the page.
+ * @private
+ */
+
+const scrollTarget = (uri='') => {
+    const match = /#(.+)$/.exec(uri);
+    return match ? {anchor: decodeURIComponent(match[1])} : {x: 0, y: 0};
+};
+
+
+/**
+ * Return a copy of _response_ without its body.
+ * @private
+ */
+
+const withoutBody = (response) => {
+    return Object.keys(response).reduce((acc, key) => {
+        if (['body', 'responseText', 'data'].indexOf(key) === -1) {
+            acc[key] = response[key];
+        }
+        return acc;
+    }, {});
+};
+
+
+/**
+ * Requester used by client-side navigation: no HTTP request is sent.
+ * @private
+ */
+
+const clientSideRequester = {
+    fetch(request, resolve) {
+        resolve(request, {status: 200, statusText: 'OK'});
+    }
+};
+
 HTTP_METHODS.reduce((reqProto, method) => {
 
 
@@ -308,13 +1266,16 @@ HTTP_METHODS.reduce((reqProto, method) => {
      *    // middleware object will be applied on path "/" and
      *    app.get(new Middleware());
      *
+     *    // plain object with the middleware methods of its phases
+     *    app.get('/user', {entered(req) {}, updated(req, res) {}, exited(req) {}});
+     *
      *    // get a setting value
      *    app.set('foo', 'bar');
      *    app.get('foo');
      *    // => "bar"
      *
      * @param {String} uri or setting
-     * @param {Middleware|Function} middleware object or function
+     * @param {Middleware|Object|Function} middleware object or function
      * @return {app} for chaining
      * @public
      */
@@ -349,26 +1310,46 @@ HTTP_METHODS.reduce((reqProto, method) => {
      *   // HTTP GET method with browser history management
      *   httpGet({uri: '/api/users', history: {state: {foo: "bar"}, title: 'users page', uri: '/view/users'});
      *
+     *   // HTTP GET method replacing the current history entry
+     *   httpGet({uri: '/api/users?page=2', history: {uri: '/view/users?page=2', replace: true}});
+     *
+     *   // HTTP GET method without callbacks returns a Promise
+     *   const {request, response} = await httpGet('/route1');
+     *
+     *   // HTTP GET method aborted
+     *   const pending = httpGet('/route1');
+     *   pending.abort();
+     *
      *   Samples above can be applied on other HTTP methods.
      *
+     * Other properties of the request object (responseType, credentials...)
+     * are handed over to the 'http requester'.
+     *
      * @param {String|Object} uri or object containing uri, http headers, data, history
      * @param {Function} success callback
      * @param {Function} failure callback
+     * @return {Object|Promise} handle with an abort() method or, when no callbacks are passed, a Promise
+     *                          resolved/rejected with {request, response} which has an abort() method too
      * @public
      */
     const httpMethodName = 'http'+method.charAt(0).toUpperCase() + method.slice(1).toLowerCase();
     reqProto[httpMethodName] = function(request, resolve, reject) {
-        let {uri, headers, data, history} = request;
-        if (!uri) {
-            uri = request;
-        }
-        return this._fetch({
-            uri,
-            method,
-            headers,
-            data,
-            history
-        }, resolve, reject);
+        const req = Object.assign({}, request.uri ? request : {uri: request});
+        req.method = method;
+
+        if (resolve || reject) {
+            return this._fetch(req, resolve, reject);
+        }
+
+        let handle;
+        const promise = new Promise((resolve, reject) => {
+            handle = this._fetch(req,
+                (request, response) => resolve({request, response}),
+                // a superseded navigation is not a failure of the caller
+                (request, response) => (response.superseded ? resolve : reject)({request, response}));
+        });
+        promise.abort = () => handle.abort();
+        return promise;
     };
 
     return reqProto;
@@ -382,7 +1363,7 @@ export function toParameters(args) {
 
     if (which instanceof Router) {
         router = which;
-    } else if (which instanceof Middleware || typeof which === 'function') {
+    } else if (isMiddleware(which)) {
         middleware = which;
     } else if(which && which.plugin && typeof which.plugin === 'function') {
         plugin = which;
@@ -5,6 +5,8 @@
 import Application from './application';
 import Router from './router';
 import Middleware from './middleware';
+import Requester, {FetchRequester, httpJsonTransformer} from './requester';
+import {MemoryHistory} from './history';
 
 
 /**
@@ -17,9 +19,17 @@ import Middleware from './middleware';
 const frontexpress = () => new Application();
 
 /**
- * Expose Router, Middleware constructors.
+ * Expose Router, Middleware, Requester constructors.
  */
 frontexpress.Router = (baseUri) => new Router(baseUri);
 frontexpress.Middleware = Middleware;
+frontexpress.Requester = Requester;
+frontexpress.FetchRequester = FetchRequester;
+frontexpress.MemoryHistory = MemoryHistory;
+
+/**
+ * Expose built-in transformers.
+ */
+frontexpress.httpJsonTransformer = httpJsonTransformer;
 
 export default frontexpress;
@@ -0,0 +1,496 @@
+/**
+ * Base of the histories running in a browser window.
+ *
+ * A history implementation provides `location()`, `push()`, `replace()`,
+ * `listen()`, `ready()`, `unload()`, `go()` and `stop()` methods, and
+ * optionally `state()`.
+ *
+ * Event listeners are registered with addEventListener so the handlers
+ * set by other scripts are left untouched.
+ *
+ * @private
+ */
+
+class WindowHistory {
+
+
+    /**
+     * Initialize the history.
+     *
+     * @private
+     */
+
+    constructor() {
+        this.listeners = [];
+    }
+
+
+    /**
+     * Add _listener_ for _type_ events on _target_, replacing the listener
+     * previously added by this history for the same target and type.
+     *
+     * @private
+     */
+
+    _addEventListener(target, type, listener) {
+        this.listeners = this.listeners.filter((registered) => {
+            if (registered.target === target && registered.type === type) {
+                target.removeEventListener(type, registered.listener);
+                return false;
+            }
+            return true;
+        });
+        target.addEventListener(type, listener);
+        this.listeners.push({target, type, listener});
+    }
+
+
+    /**
+     * Call _callback_ once the DOM is ready (`document.readyState` equals
+     * 'interactive').
+     *
+     * @param {Function} callback
+     * @private
+     */
+
+    ready(callback) {
+        this._addEventListener(document, 'readystatechange', () => {
+            // DOM ready state
+            if (document.readyState === 'interactive') {
+                callback();
+            }
+        });
+
+        if (['interactive', 'complete'].indexOf(document.readyState) !== -1) {
+            callback();
+        }
+    }
+
+
+    /**
+     * Call _callback_ when the page is unloaded (leaving or refreshing page).
+     * When _callback_ returns `false` the browser asks the user to confirm
+     * leaving the page.
+     *
+     * @param {Function} callback
+     * @private
+     */
+
+    unload(callback) {
+        this._addEventListener(window, 'beforeunload', (event) => {
+            if (callback() === false) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        });
+    }
+
+
+    /**
+     * Return the state of the current entry.
+     *
+     * @return {Object}
+     * @private
+     */
+
+    state() {
+        return window.history.state;
+    }
+
+
+    /**
+     * Remove all the event listeners added by this history.
+     *
+     * @private
+     */
+
+    stop() {
+        this.listeners.forEach(({target, type, listener}) => target.removeEventListener(type, listener));
+        this.listeners = [];
+    }
+
+
+    /**
+     * Move _delta_ entries backward (negative) or forward (positive).
+     *
+     * @param {Number} delta
+     * @private
+     */
+
+    go(delta) {
+        window.history.go(delta);
+    }
+
+
+    /**
+     * Disable the browser scroll restoration, the scroll position is
+     * restored by the application.
+     *
+     * @private
+     */
+
+    manageScroll() {
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+    }
+
+
+    /**
+     * Return the scroll position of the window.
+     *
+     * @return {Object} {x, y}
+     * @private
+     */
+
+    scrollPosition() {
+        return {x: window.pageXOffset, y: window.pageYOffset};
+    }
+
+
+    /**
+     * Scroll the window to the _position_ or the element with the _anchor_
+     * id. When the element does not exist the window is scrolled to _x_, _y_
+     * (top of the page by default).
+     *
+     * @param {Object} position, {x, y} or {anchor}
+     * @private
+     */
+
+    scrollTo({x=0, y=0, anchor}) {
+        const element = anchor && document.getElementById(anchor);
+        if (element) {
+            element.scrollIntoView();
+            return;
+        }
+        window.scrollTo(x, y);
+    }
+}
+
+
+/**
+ * Browser history based on the History API: the uri of the current entry
+ * is the location path.
+ *
+ * @private
+ */
+
+export class BrowserHistory extends WindowHistory {
+
+
+    /**
+     * Return the uri of the current location.
+     *
+     * @return {String}
+     * @private
+     */
+
+    location() {
+        return window.location.pathname + window.location.search;
+    }
+
+
+    /**
+     * Add an entry with _state_ and _title_ for the _uri_.
+     *
+     * @private
+     */
+
+    push(state, title, uri) {
+        window.history.pushState(state, title, uri);
+    }
+
+
+    /**
+     * Replace the current entry with _state_ and _title_ for the _uri_.
+     *
+     * @private
+     */
+
+    replace(state, title, uri) {
+        window.history.replaceState(state, title, uri);
+    }
+
+
+    /**
+     * Call _callback_ with the entry state each time the current entry is
+     * changed by the browser (back, forward...).
+     *
+     * @param {Function} callback
+     * @private
+     */
+
+    listen(callback) {
+        this._addEventListener(window, 'popstate', (event) => callback(event.state));
+    }
+}
+
+
+/**
+ * Browser history based on the location hash: the uri of the current entry
+ * is the path written after the `#` (`/index.html#/users/42`), which lets
+ * static file hosting serve the deep links.
+ *
+ * @private
+ */
+
+export class HashHistory extends WindowHistory {
+
+
+    /**
+     * Return the uri written in the location hash, "/" when empty.
+     *
+     * @return {String}
+     * @private
+     */
+
+    location() {
+        return (window.location.hash || '').replace(/^#/, '') || '/';
+    }
+
+
+    /**
+     * Add an entry with _state_ and _title_ for the hash _uri_.
+     *
+     * @private
+     */
+
+    push(state, title, uri) {
+        window.history.pushState(state, title, `#${uri}`);
+    }
+
+
+    /**
+     * Replace the current entry with _state_ and _title_ for the hash _uri_.
+     *
+     * @private
+     */
+
+    replace(state, title, uri) {
+        window.history.replaceState(state, title, `#${uri}`);
+    }
+
+
+    /**
+     * Call _callback_ with the entry state each time the location hash
+     * changes (back, forward, link to a hash, edited address bar...).
+     *
+     * @param {Function} callback
+     * @private
+     */
+
+    listen(callback) {
+        this._addEventListener(window, 'hashchange', () => callback(window.history.state));
+    }
+}
+
+
+/**
+ * In-memory history: a stack of entries and the index of the current one.
+ * It does not need any browser object, which allows to run the routing and
+ * the middleware in tests or in Node.
+ *
+ *    app.set('routing mode', 'memory');
+ *
+ *    // or with an initial uri
+ *    app.set('routing mode', new frontexpress.MemoryHistory('/users'));
+ *
+ * @public
+ */
+
+export class MemoryHistory {
+
+
+    /**
+     * Initialize the history with an entry for the _uri_.
+     *
+     * @param {String} uri, default "/"
+     * @private
+     */
+
+    constructor(uri='/') {
+        this.entries = [{state: null, title: undefined, uri}];
+        this.index = 0;
+        this.scroll = {x: 0, y: 0};
+    }
+
+
+    /**
+     * Return the uri of the current entry.
+     *
+     * @return {String}
+     * @private
+     */
+
+    location() {
+        return this.entries[this.index].uri;
+    }
+
+
+    /**
+     * Return the state of the current entry.
+     *
+     * @return {Object}
+     * @private
+     */
+
+    state() {
+        return this.entries[this.index].state;
+    }
+
+
+    /**
+     * Add an entry after the current one, the entries following the current
+     * one are dropped.
+     *
+     * @private
+     */
+
+    push(state, title, uri) {
+        this.entries.splice(this.index + 1, this.entries.length, {state, title, uri});
+        this.index++;
+    }
+
+
+    /**
+     * Replace the current entry.
+     *
+     * @private
+     */
+
+    replace(state, title, uri) {
+        this.entries[this.index] = {state, title, uri};
+    }
+
+
+    /**
+     * Call _callback_ with the entry state each time the current entry is
+     * changed by `go()`, `back()` or `forward()`.
+     *
+     * @param {Function} callback
+     * @private
+     */
+
+    listen(callback) {
+        this.callback = callback;
+    }
+
+
+    /**
+     * Call _callback_ immediately, there is no DOM to wait for.
+     *
+     * @param {Function} callback
+     * @private
+     */
+
+    ready(callback) {
+        callback();
+    }
+
+
+    /**
+     * There is no page to unload.
+     *
+     * @private
+     */
+
+    unload() {}
+
+
+    /**
+     * Stop calling the callback given to `listen()`.
+     *
+     * @private
+     */
+
+    stop() {
+        this.callback = null;
+    }
+
+
+    /**
+     * Move _delta_ entries backward (negative) or forward (positive). Moves
+     * out of the entries are ignored.
+     *
+     * @param {Number} delta
+     * @public
+     */
+
+    go(delta=0) {
+        const index = this.index + delta;
+        if (delta === 0 || index < 0 || index >= this.entries.length) {
+            return;
+        }
+        this.index = index;
+        if (this.callback) {
+            this.callback(this.entries[index].state);
+        }
+    }
+
+
+    /**
+     * There is no browser scroll restoration.
+     *
+     * @private
+     */
+
+    manageScroll() {}
+
+
+    /**
+     * Return the last position given to `scrollTo()`.
+     *
+     * @return {Object}
+     * @private
+     */
+
+    scrollPosition() {
+        return this.scroll;
+    }
+
+
+    /**
+     * Record the scroll _position_.
+     *
+     * @param {Object} position, {x, y} or {anchor}
+     * @private
+     */
+
+    scrollTo(position) {
+        this.scroll = position;
+    }
+
+
+    /**
+     * Move to the previous entry.
+     *
+     * @public
+     */
+
+    back() {
+        this.go(-1);
+    }
+
+
+    /**
+     * Move to the next entry.
+     *
+     * @public
+     */
+
+    forward() {
+        this.go(1);
+    }
+}
+
+
+/**
+ * History implementations by 'routing mode' setting value.
+ * @private
+ */
+
+export const routingModes = {
+    history: BrowserHistory,
+    hash: HashHistory,
+    memory: MemoryHistory
+};
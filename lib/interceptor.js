@@ -0,0 +1,188 @@
+/**
+ * Module dependencies.
+ * @private
+ */
+
+import {httpPostPatchTransformer} from './requester';
+
+
+/**
+ * Attribute to set on links and forms which must not be intercepted.
+ * @private
+ */
+
+export const IGNORE_ATTRIBUTE = 'data-frontexpress-ignore';
+
+
+/**
+ * Interceptor object.
+ *
+ * Translate the clicks on same-origin links and the form submissions
+ * into ajax requests with browser history management.
+ *
+ * @private
+ */
+
+export default class Interceptor {
+
+
+    /**
+     * Initialize the interceptor.
+     *
+     * @param {Application} application
+     * @private
+     */
+
+    constructor(application) {
+        this.application = application;
+        this.onClick = (event) => this._click(event);
+        this.onSubmit = (event) => this._submit(event);
+    }
+
+
+    /**
+     * Start intercepting clicks and submits.
+     *
+     * @private
+     */
+
+    listen() {
+        document.addEventListener('click', this.onClick);
+        document.addEventListener('submit', this.onSubmit);
+    }
+
+
+    /**
+     * Stop intercepting clicks and submits.
+     *
+     * @private
+     */
+
+    stop() {
+        document.removeEventListener('click', this.onClick);
+        document.removeEventListener('submit', this.onSubmit);
+    }
+
+
+    /**
+     * Turn a click on a link into a GET request.
+     *
+     * Clicks with modifier keys or other than the main button, links opened
+     * in another target, download links, external links and links to an
+     * anchor of the current page are left to the browser.
+     *
+     * @private
+     */
+
+    _click(event) {
+        if (event.defaultPrevented || event.button !== 0 ||
+            event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        let link = event.target;
+        while (link && !(link.tagName && link.tagName.toUpperCase() === 'A')) {
+            link = link.parentNode;
+        }
+        if (!link || !link.getAttribute('href') || isIgnored(link) || link.hasAttribute('download') ||
+            link.getAttribute('rel') === 'external' || !isSelfTarget(link)) {
+            return;
+        }
+
+        const url = sameOriginUrl(link.getAttribute('href'));
+        if (!url) {
+            return;
+        }
+
+        const {pathname, search} = window.location;
+        if (url.hash && url.pathname === pathname && url.search === search) {
+            return;
+        }
+
+        event.preventDefault();
+        const uri = url.pathname + url.search + url.hash;
+        this.application.httpGet({uri, history: {uri}}, noop);
+    }
+
+
+    /**
+     * Turn a form submission into a GET or POST request.
+     *
+     * @private
+     */
+
+    _submit(event) {
+        const form = event.target;
+        if (event.defaultPrevented || !form || !form.tagName || form.tagName.toUpperCase() !== 'FORM' ||
+            isIgnored(form) || !isSelfTarget(form)) {
+            return;
+        }
+
+        const method = (form.getAttribute('method') || 'GET').toUpperCase();
+        if (['GET', 'POST'].indexOf(method) === -1) {
+            return;
+        }
+
+        const url = sameOriginUrl(form.getAttribute('action') || window.location.href);
+        if (!url) {
+            return;
+        }
+
+        const formData = new FormData(form);
+        const {submitter} = event;
+        if (submitter && submitter.name) {
+            formData.append(submitter.name, submitter.value);
+        }
+
+        const fields = [];
+        formData.forEach((value, name) => {
+            if (typeof value === 'string') {
+                fields.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+            }
+        });
+
+        event.preventDefault();
+        if (method === 'GET') {
+            const uri = url.pathname + (fields.length ? `?${fields.join('&')}` : '');
+            this.application.httpGet({uri, history: {uri}}, noop);
+            return;
+        }
+
+        const uri = url.pathname + url.search;
+        if ((form.getAttribute('enctype') || '').toLowerCase() === 'multipart/form-data') {
+            this.application.httpPost({uri, data: formData, transformer: {data: sentAsIs}, history: {uri}}, noop);
+        } else {
+            this.application.httpPost({
+                uri,
+                data: fields.join('&'),
+                transformer: {data: sentAsIs, headers: httpPostPatchTransformer.headers},
+                history: {uri}
+            }, noop);
+        }
+    }
+}
+
+const noop = () => {};
+
+const sentAsIs = ({data}) => data;
+
+const isIgnored = (element) => element.hasAttribute(IGNORE_ATTRIBUTE);
+
+const isSelfTarget = (element) => {
+    const target = element.getAttribute('target');
+    return !target || target === '_self';
+};
+
+const sameOriginUrl = (href) => {
+    let url;
+    try {
+        url = new URL(href, window.location.href);
+    } catch (error) {
+        // malformed url: left to the browser
+        return;
+    }
+    if (url.origin !== window.location.origin) {
+        return;
+    }
+    return url;
+};
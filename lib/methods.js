@@ -3,6 +3,6 @@
  * @private
  */
 
- export default ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+ export default ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
  // not supported yet
- // HEAD', 'CONNECT', 'OPTIONS', 'TRACE';
+ // 'CONNECT', 'TRACE';
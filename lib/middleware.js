@@ -16,6 +16,56 @@ export default class Middleware {
         this.name = name;
     }
 
+
+    /**
+     * Invoked by the app before a navigation (ajax request or `navigate()`)
+     * to the route: before the `exited`/`entered` methods, the http requester
+     * and the history management.
+     *
+     * Override this method to guard the route. Return `false` to cancel the
+     * navigation, a uri or a request object to redirect it, or a Promise of
+     * these outcomes to decide asynchronously (a rejected Promise cancels it).
+     *
+     *    canEnter(request) {
+     *        return isAuthenticated() || '/login';
+     *    }
+     *
+     * @param {Object} request
+     * @return {Boolean|String|Object|Promise} `true` by default
+     * @public
+     */
+
+    canEnter(request) {
+        return true;
+    }
+
+
+    /**
+     * Invoked by the app before leaving the route: before a navigation with
+     * history management (ajax request or `navigate()`), when the user moves
+     * in the browser history and when the page is unloaded.
+     *
+     * Override this method to keep the user on a view with unsaved changes.
+     * Return `false` to block the navigation, or a Promise of a Boolean to
+     * decide asynchronously (a rejected Promise blocks it). A blocked move
+     * in the browser history is reverted. When the page is unloaded, the
+     * browser asks the user to confirm unless `true` is returned
+     * synchronously.
+     *
+     *    canExit(request, nextRequest) {
+     *        return !this.form.dirty || confirmLeave();
+     *    }
+     *
+     * @param {Object} request of the route left
+     * @param {Object} nextRequest, undefined when the page is unloaded
+     * @return {Boolean|Promise} `true` by default
+     * @public
+     */
+
+    canExit(request, nextRequest) {
+        return true;
+    }
+
     /**
      * Invoked by the app before an ajax request is sent or
      * during the DOM loading (document.readyState === 'loading').
@@ -70,13 +120,64 @@ export default class Middleware {
     failed(request, response) { }
 
 
+    /**
+     * Invoked by the app when an ajax request has been aborted, by calling
+     * abort() on the handle returned by httpGet, httpPost... or because the
+     * navigation has been superseded by a new one.
+     *
+     * Override this method to add your custom behaviour
+     *
+     * @param {Object} request
+     * @param {Object} response, {aborted: true, errors}
+     * @public
+     */
+
+    aborted(request, response) { }
+
+
+    /**
+     * Invoked by the app when an ajax request has failed and is going to be
+     * sent again according to the retry policy. `request.attempt` holds the
+     * number of the next attempt.
+     *
+     * Override this method to add your custom behaviour
+     *
+     * @param {Object} request
+     * @param {Object} response of the failed attempt
+     * @public
+     */
+
+    retrying(request, response) { }
+
+
+    /**
+     * Invoked by the app, when the 'scroll restoration' setting is enabled,
+     * after the `updated` method of a navigation. _position_ is where the
+     * window is going to be scrolled: the position recorded for the history
+     * entry reached by back/forward, or the top of the page (or the
+     * `{anchor}` of the uri) for a new navigation.
+     *
+     * Override this method to return another position `{x, y}` or `{anchor}`,
+     * or `false` to leave the scroll position unchanged.
+     *
+     * @param {Object} request
+     * @param {Object} response
+     * @param {Object} position
+     * @return {Object|Boolean} `undefined` by default, the position is kept
+     * @public
+     */
+
+    scroll(request, response, position) { }
+
+
     /**
      * Allow the hand over to the next middleware object or function.
      *
      * Override this method and return `false` to break execution of
-     * middleware chain.
+     * middleware chain, or a Promise of a Boolean to decide once the
+     * middleware is done.
      *
-     * @return {Boolean} `true` by default
+     * @return {Boolean|Promise} `true` by default
      *
      * @public
      */
@@ -85,3 +186,46 @@ export default class Middleware {
         return true;
     }
 }
+
+
+/**
+ * Default error handler, called with the errors no error-handling
+ * middleware function has handled. The error is thrown asynchronously to
+ * be reported by the browser without stopping the application.
+ *
+ * @param {*} err
+ * @param {Object} request
+ * @param {Object} response
+ * @private
+ */
+
+export function errorHandler(err, request, response) {
+    setTimeout(() => {
+        throw err;
+    }, 0);
+}
+
+
+/**
+ * Methods called by the app on the middleware objects during a navigation.
+ * @private
+ */
+
+const MIDDLEWARE_METHODS = ['entered', 'exited', 'updated', 'failed', 'aborted', 'retrying', 'canEnter', 'canExit', 'scroll'];
+
+
+/**
+ * Tell if _value_ can be used as a middleware: a function, a `Middleware`
+ * object or a plain object with at least one of the middleware methods.
+ *
+ * @param {*} value
+ * @return {Boolean}
+ * @private
+ */
+
+export function isMiddleware(value) {
+    if (typeof value === 'function' || value instanceof Middleware) {
+        return true;
+    }
+    return !!value && typeof value === 'object' && MIDDLEWARE_METHODS.some(method => typeof value[method] === 'function');
+}
@@ -6,52 +6,56 @@
 export default class Requester {
 
     /**
-     * Make an ajax request.
+     * Make an ajax request.
+     *
+     * The response body is decoded according to `request.responseType`
+     * ('json', 'blob', 'arraybuffer', 'document', 'text') or, when not set,
+     * according to the response Content-Type. The body of the failure
+     * responses is decoded too (validation errors, problem details...).
      *
      * @param {Object} request
      * @param {Function} success callback
      * @param {Function} failure callback
+     * @param {Object} options, successStatus: predicate telling if an HTTP status is a success
+     * @return {XMLHttpRequest} allows to abort the request
      * @private
      */
 
-    fetch(request, resolve, reject) {
-        const {method, uri, headers, data} = request;
-
-        const success = (responseText) => {
-            resolve(
-                request,
-                {
-                    status: 200,
-                    statusText: 'OK',
-                    responseText
-                }
-            );
-        };
+    fetch(request, resolve, reject, {successStatus=httpSuccessStatus}={}) {
+        const {method, uri, headers, data, responseType} = request;
 
-        const fail = ({status, statusText, errorThrown}) => {
-            reject(
-                request,
-                {
-                    status,
-                    statusText,
-                    errorThrown,
-                    errors: `HTTP ${status} ${statusText?statusText:''}`
-                }
-            );
+        const fail = (response) => {
+            reject(request, failureResponse(response));
         };
 
         const xmlhttp = new XMLHttpRequest();
         xmlhttp.onreadystatechange = () => {
             if (xmlhttp.readyState === 4) { //XMLHttpRequest.DONE
-                if (xmlhttp.status === 200) {
-                    success(xmlhttp.responseText);
+                const response = {
+                    status: xmlhttp.status,
+                    statusText: xmlhttp.statusText,
+                    headers: parseResponseHeaders(xmlhttp.getAllResponseHeaders()),
+                    responseURL: xmlhttp.responseURL
+                };
+                // responseText is only readable on text responses
+                if (!xmlhttp.responseType || xmlhttp.responseType === 'text') {
+                    response.responseText = xmlhttp.responseText;
+                    response.body = decodeBody(xmlhttp.responseText, response.headers['content-type'], xmlhttp.responseType);
                 } else {
-                    fail({status: xmlhttp.status, statusText: xmlhttp.statusText});
+                    response.body = xmlhttp.response;
+                }
+                if (!successStatus(xmlhttp.status)) {
+                    fail(response);
+                    return;
                 }
+                resolve(request, response);
             }
         };
         try {
             xmlhttp.open(method, uri, true);
+            if (responseType) {
+                xmlhttp.responseType = responseType;
+            }
             if (headers) {
                 Object.keys(headers).forEach((header) => {
                     xmlhttp.setRequestHeader(header, headers[header]);
@@ -65,9 +69,181 @@ export default class Requester {
         } catch (errorThrown) {
             fail({errorThrown});
         }
+
+        return xmlhttp;
     }
 }
 
+
+/**
+ * Requester based on the Fetch API.
+ *
+ * Default fetch options (credentials, mode, cache...) can be given at
+ * initialization and overridden on each request:
+ *
+ *    app.set('http requester', new FetchRequester({credentials: 'include'}));
+ *    app.httpGet({uri: '/route1', cache: 'no-store'});
+ *
+ * @public
+ */
+
+export class FetchRequester {
+
+
+    /**
+     * Initialize the requester.
+     *
+     * @param {Object} default fetch options
+     * @private
+     */
+
+    constructor(options={}) {
+        this.options = options;
+    }
+
+
+    /**
+     * Make an ajax request with window.fetch.
+     *
+     * The response body is decoded as Requester#fetch does, for the failure
+     * responses too. When the request
+     * has `responseType: 'stream'` the request is resolved as soon as the
+     * headers are received and the response body is left unread in
+     * `response.body`.
+     *
+     * GET and HEAD requests are sent without body, their data is already in
+     * the uri. When the request has its own `signal`, aborting it aborts the
+     * returned controller too.
+     *
+     * @param {Object} request
+     * @param {Function} success callback
+     * @param {Function} failure callback
+     * @param {Object} options, successStatus: predicate telling if an HTTP status is a success
+     * @return {AbortController} allows to abort the request (when supported)
+     * @private
+     */
+
+    fetch(request, resolve, reject, {successStatus=httpSuccessStatus}={}) {
+        const {method, uri, headers, data, responseType, signal} = request;
+        const options = {};
+        ['credentials', 'mode', 'cache', 'redirect', 'referrer', 'integrity'].forEach((option) => {
+            const value = request[option] !== undefined ? request[option] : this.options[option];
+            if (value !== undefined) {
+                options[option] = value;
+            }
+        });
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+        if (controller) {
+            options.signal = controller.signal;
+            if (signal && signal.aborted) {
+                controller.abort();
+            } else if (signal) {
+                signal.addEventListener('abort', () => controller.abort());
+            }
+        } else if (signal) {
+            options.signal = signal;
+        }
+        const body = ['GET', 'HEAD'].indexOf(method) === -1 ? data : undefined;
+
+        const fail = (response) => {
+            reject(request, failureResponse(response));
+        };
+
+        try {
+            window.fetch(uri, Object.assign(options, {method, headers, body}))
+                .then((fetchResponse) => {
+                    const response = {
+                        status: fetchResponse.status,
+                        statusText: fetchResponse.statusText,
+                        headers: {},
+                        responseURL: fetchResponse.url
+                    };
+                    fetchResponse.headers.forEach((value, name) => {
+                        response.headers[name.toLowerCase()] = value;
+                    });
+
+                    if (responseType === 'stream') {
+                        response.body = fetchResponse.body;
+                        return response;
+                    }
+                    if (responseType === 'blob' || responseType === 'arraybuffer') {
+                        return fetchResponse[responseType === 'blob' ? 'blob' : 'arrayBuffer']().then((body) => {
+                            response.body = body;
+                            return response;
+                        });
+                    }
+                    return fetchResponse.text().then((responseText) => {
+                        response.responseText = responseText;
+                        response.body = decodeBody(responseText, response.headers['content-type'], responseType);
+                        return response;
+                    });
+                })
+                .then((response) => {
+                    if (successStatus(response.status)) {
+                        resolve(request, response);
+                    } else {
+                        fail(response);
+                    }
+                }, (errorThrown) => {
+                    fail({errorThrown});
+                });
+        } catch (errorThrown) {
+            fail({errorThrown});
+        }
+
+        return controller;
+    }
+}
+
+
+/**
+ * Default predicate telling if an HTTP status is a success: the 2xx range.
+ *
+ * @param {Number} status
+ * @return {Boolean}
+ * @private
+ */
+
+export const httpSuccessStatus = status => status >= 200 && status < 300;
+
+const failureResponse = ({status, statusText, headers, responseURL, responseText, body, errorThrown}) => {
+    return {
+        status,
+        statusText,
+        headers,
+        responseURL,
+        responseText,
+        body,
+        errorThrown,
+        errors: `HTTP ${status} ${statusText?statusText:''}`
+    };
+};
+
+const parseResponseHeaders = (rawHeaders) => {
+    return (rawHeaders || '').trim().split(/[\r\n]+/).reduce((acc, line) => {
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex > 0) {
+            acc[line.slice(0, separatorIndex).trim().toLowerCase()] = line.slice(separatorIndex + 1).trim();
+        }
+        return acc;
+    }, {});
+};
+
+const decodeBody = (responseText, contentType='', responseType='') => {
+    if (responseType === 'json' || (!responseType && /json/i.test(contentType))) {
+        try {
+            return JSON.parse(responseText);
+        } catch (e) {
+            return responseText;
+        }
+    }
+    if ((responseType === 'document' || (!responseType && /xml/i.test(contentType))) && typeof DOMParser !== 'undefined') {
+        return new DOMParser().parseFromString(responseText, /xml/i.test(contentType) ? 'application/xml' : 'text/html');
+    }
+    return responseText;
+};
+
 export const httpGetTransformer = {
     uri({uri, headers, data}) {
         if (!data) {
@@ -102,6 +278,35 @@ const encodeURIObject = (obj, branch=[], results=[]) => {
     }
 };
 
+export const httpJsonTransformer = {
+    data({data}) {
+        if (data === undefined || data === null) {
+            return data;
+        }
+        return JSON.stringify(data);
+    },
+    headers({uri, headers, data}) {
+        const updatedHeaders = headers || {};
+        if (!updatedHeaders['Content-Type']) {
+            updatedHeaders['Content-Type'] = 'application/json';
+        }
+        if (!updatedHeaders['Accept']) {
+            updatedHeaders['Accept'] = 'application/json';
+        }
+        return updatedHeaders;
+    },
+    response({request, response}) {
+        if (response.responseText) {
+            try {
+                response.data = JSON.parse(response.responseText);
+            } catch (e) {
+                response.data = undefined;
+            }
+        }
+        return response;
+    }
+};
+
 export const httpPostPatchTransformer = {
     data({data}) {
         if (!data) {
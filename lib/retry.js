@@ -0,0 +1,55 @@
+/**
+ * Default retry policy.
+ *
+ *   - attempts: maximum number of attempts (1 means no retry)
+ *   - delay: delay in milliseconds before the first retry
+ *   - factor: multiplier applied to the delay after each retry
+ *   - maxDelay: upper bound of the delay
+ *   - jitter: random part (0 to 1) removed from the delay
+ *   - methods: HTTP methods which can be retried
+ *   - statuses: HTTP statuses which can be retried (0 for network errors)
+ *
+ * @private
+ */
+
+export const httpRetryPolicy = {
+    attempts: 1,
+    delay: 100,
+    factor: 2,
+    maxDelay: 10000,
+    jitter: 0.5,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statuses: [0, 408, 429, 500, 502, 503, 504]
+};
+
+
+/**
+ * Return the delay before retrying a failed _request_ or `undefined`
+ * when the _policy_ does not allow a new attempt.
+ *
+ * @param {Object} policy
+ * @param {Object} request
+ * @param {Object} response of the failed attempt
+ * @param {Number} attempt number of the failed attempt
+ * @return {Number|undefined} delay in milliseconds
+ * @private
+ */
+
+export function retryDelay(policy, request, response, attempt) {
+    const {attempts, delay, factor, maxDelay, jitter, methods, statuses} = policy;
+    if (attempt >= attempts || methods.indexOf(request.method) === -1) {
+        return undefined;
+    }
+
+    // an aborted request is never retried
+    if (response.errorThrown && response.errorThrown.name === 'AbortError') {
+        return undefined;
+    }
+
+    if (statuses.indexOf(response.status || 0) === -1) {
+        return undefined;
+    }
+
+    const backoff = Math.min(delay * Math.pow(factor, attempt - 1), maxDelay);
+    return Math.round(backoff - backoff * jitter * Math.random());
+}
@@ -5,7 +5,7 @@
 
 import HTTP_METHODS from './methods';
 import {toParameters} from './application';
-import Middleware from './middleware';
+import {isMiddleware} from './middleware';
 
 
 /**
@@ -164,14 +164,14 @@ export default class Router {
      *    // middleware object
      *    router.use(new Middleware());
      *
-     * @param {Middleware|Function} middleware object or function
+     * @param {Middleware|Object|Function} middleware object or function
      * @return {Router} for chaining
      *
      * @public
      */
 
     use(middleware) {
-        if (!(middleware instanceof Middleware) && (typeof middleware !== 'function') ) {
+        if (!isMiddleware(middleware)) {
             throw new TypeError(error_middleware_message);
         }
 
@@ -191,7 +191,7 @@ export default class Router {
      *    // middleware object
      *    router.all(new Middleware());
      *
-     * @param {Middleware|Function} middleware object or function
+     * @param {Middleware|Object|Function} middleware object or function
      * @return {Router} for chaining
      *
      * @public
@@ -231,7 +231,7 @@ HTTP_METHODS.forEach((method) => {
      *    router.post('/user', new Middleware());
      *
      * @param {String} uri
-     * @param {Middleware|Function} middleware object or function
+     * @param {Middleware|Object|Function} middleware object or function
      * @return {Router} for chaining
      * @public
      */
@@ -2,8 +2,12 @@
  * Module dependencies.
  * @private
  */
+import HTTP_METHODS from './methods';
 import {routeMatcher} from './router';
-import Requester, {httpGetTransformer, httpPostPatchTransformer} from './requester';
+import Requester, {httpGetTransformer, httpPostPatchTransformer, httpSuccessStatus} from './requester';
+import {httpRetryPolicy} from './retry';
+import {routingModes} from './history';
+import {errorHandler} from './middleware';
 
 
 function errorIfNotFunction(toTest, message) {
@@ -12,9 +16,30 @@ function errorIfNotFunction(toTest, message) {
     }
 }
 
+function errorIfNotBoolean(toTest, message) {
+    if(typeof toTest !== 'boolean') {
+        throw new TypeError(message);
+    }
+}
+
+function errorIfNotPositiveNumber(toTest, message) {
+    if(typeof toTest !== 'number' || isNaN(toTest) || toTest < 0) {
+        throw new TypeError(message);
+    }
+}
+
+function errorIfNotRetryPolicy(toTest) {
+    if (!toTest || typeof toTest !== 'object') {
+        throw new TypeError('setting http retry is not an object');
+    }
+    if (toTest.attempts !== undefined) {
+        errorIfNotPositiveNumber(toTest.attempts, 'setting http retry attempts is not a positive number');
+    }
+}
+
 function errorIfNotHttpTransformer(toTest) {
-    if (!toTest || (!toTest.uri && !toTest.headers && !toTest.data)) {
-        throw new TypeError('setting http transformer one of functions: uri, headers, data is missing');
+    if (!toTest || (!toTest.uri && !toTest.headers && !toTest.data && !toTest.response)) {
+        throw new TypeError('setting http transformer one of functions: uri, headers, data, response is missing');
     }
 }
 
@@ -38,19 +63,80 @@ export default class Settings {
         // default settings
         this.settings = {
             'http requester': new Requester(),
+            'http success status': httpSuccessStatus,
+            'abort superseded navigation': false,
+            'http timeout': 0,
+            'intercept navigation': false,
+            'update document title': false,
+            'refetch untracked entries': false,
+            'history restore strategy': 'replay',
+            'history cache size': 10,
+            'scroll restoration': false,
+            'routing mode': 'history',
+            'http retry': httpRetryPolicy,
             'http GET transformer': httpGetTransformer,
+            'http HEAD transformer': httpGetTransformer,
+            'http OPTIONS transformer': httpGetTransformer,
             'http POST transformer': httpPostPatchTransformer,
             'http PATCH transformer': httpPostPatchTransformer,
-            'route matcher': routeMatcher
+            'route matcher': routeMatcher,
+            'error handler': errorHandler
         };
 
         this.rules = {
             'http requester': (requester) => {
                 errorIfNotFunction(requester.fetch , 'setting http requester has no fetch function');
             },
+            'http success status': (successStatus) => {
+                errorIfNotFunction(successStatus, 'setting http success status is not a function');
+            },
+            'abort superseded navigation': (abort) => {
+                errorIfNotBoolean(abort, 'setting abort superseded navigation is not a boolean');
+            },
+            'intercept navigation': (intercept) => {
+                errorIfNotBoolean(intercept, 'setting intercept navigation is not a boolean');
+            },
+            'update document title': (update) => {
+                errorIfNotBoolean(update, 'setting update document title is not a boolean');
+            },
+            'history restore strategy': (strategy) => {
+                if (['replay', 'refetch', 'cache'].indexOf(strategy) === -1) {
+                    throw new TypeError('setting history restore strategy is not one of replay, refetch, cache');
+                }
+            },
+            'history cache size': (size) => {
+                errorIfNotPositiveNumber(size, 'setting history cache size is not a positive number');
+            },
+            'scroll restoration': (restoration) => {
+                errorIfNotBoolean(restoration, 'setting scroll restoration is not a boolean');
+            },
+            'refetch untracked entries': (refetch) => {
+                errorIfNotBoolean(refetch, 'setting refetch untracked entries is not a boolean');
+            },
+            'routing mode': (mode) => {
+                if (mode && typeof mode === 'object') {
+                    ['location', 'push', 'replace', 'listen', 'ready', 'unload', 'go', 'stop'].forEach((method) => {
+                        errorIfNotFunction(mode[method], `setting routing mode has no ${method} function`);
+                    });
+                } else if (Object.keys(routingModes).indexOf(mode) === -1) {
+                    throw new TypeError(`setting routing mode is not one of ${Object.keys(routingModes).join(', ')}`);
+                }
+            },
+            'http timeout': (timeout) => {
+                errorIfNotPositiveNumber(timeout, 'setting http timeout is not a positive number');
+            },
+            'http retry': (policy) => {
+                errorIfNotRetryPolicy(policy);
+            },
             'http GET transformer': (transformer) => {
                 errorIfNotHttpTransformer(transformer);
             },
+            'http HEAD transformer': (transformer) => {
+                errorIfNotHttpTransformer(transformer);
+            },
+            'http OPTIONS transformer': (transformer) => {
+                errorIfNotHttpTransformer(transformer);
+            },
             'http POST transformer': (transformer) => {
                 errorIfNotHttpTransformer(transformer);
             },
@@ -59,8 +145,17 @@ export default class Settings {
             },
             'route matcher': (routeMatcher) => {
                 errorIfNotFunction(routeMatcher, 'setting route matcher is not a function');
+            },
+            'error handler': (handler) => {
+                errorIfNotFunction(handler, 'setting error handler is not a function');
             }
         };
+
+        HTTP_METHODS.forEach((method) => {
+            this.rules[`http ${method} response transformer`] = (transformer) => {
+                errorIfNotFunction(transformer, `setting http ${method} response transformer is not a function`);
+            };
+        });
     }
 
 
@@ -4,6 +4,7 @@ import sinon from 'sinon';
 //import jsdom from 'jsdom';
 import frontexpress from '../lib/frontexpress';
 import Requester from '../lib/requester';
+import {eventTarget, multiEventTarget} from './helpers/event-target';
 
 describe('Application', () => {
     class MyMiddleware extends frontexpress.Middleware {
@@ -22,6 +23,9 @@ describe('Application', () => {
             assert(typeof app.httpPut === 'function');
             assert(typeof app.httpPost === 'function');
             assert(typeof app.httpDelete === 'function');
+            assert(typeof app.httpPatch === 'function');
+            assert(typeof app.httpHead === 'function');
+            assert(typeof app.httpOptions === 'function');
         });
 
         it('checks middleware methods are exposed', ()=> {
@@ -30,6 +34,39 @@ describe('Application', () => {
             assert(typeof app.put === 'function');
             assert(typeof app.post === 'function');
             assert(typeof app.delete === 'function');
+            assert(typeof app.patch === 'function');
+            assert(typeof app.head === 'function');
+            assert(typeof app.options === 'function');
+        });
+
+        it('HEAD and OPTIONS requests', (done) => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', headers: {'content-length': '42'}, responseText: ''});
+            });
+
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const spy_head = sinon.spy();
+            const spy_options = sinon.spy();
+            app.head('/route1', (request, response, next) => {spy_head(); next();});
+            app.options('/route1', (request, response, next) => {spy_options(); next();});
+
+            app.httpHead({uri: '/route1', data: {p1: 'a'}}, (request, response) => {
+                assert(request.method === 'HEAD');
+                assert(request.uri === '/route1?p1=a');
+                assert(response.headers['content-length'] === '42');
+                assert(spy_head.calledOnce);
+                assert(spy_options.callCount === 0);
+
+                app.httpOptions('/route1', (request, response) => {
+                    assert(request.method === 'OPTIONS');
+                    assert(spy_head.calledOnce);
+                    assert(spy_options.calledOnce);
+                    done();
+                });
+            });
         });
     });
 
@@ -109,8 +146,8 @@ describe('Application', () => {
             const browserHistory = [{uri: '/'}];
             let browserHistoryIndex = 0;
 
-            global.document = {};
-            global.window = {
+            global.document = eventTarget({});
+            global.window = eventTarget({
                 location: {
                     pathname: '/route1',
                     search: '?a=b'
@@ -136,7 +173,7 @@ describe('Application', () => {
                         }
                     }
                 }
-            };
+            });
         });
 
         it('with function middleware readyState===interactive', (done) => {
@@ -199,6 +236,40 @@ describe('Application', () => {
             document.onreadystatechange();
         });
 
+        it('with middleware object leave guard on event beforeunload', () => {
+            const app = frontexpress();
+            const m = new MyMiddleware();
+            const spy_exited = sinon.spy(m, 'exited');
+            m.canExit = () => false;
+
+            app.use('/route1', m);
+            document.readyState = 'interactive';
+            app.listen();
+
+            const event = {preventDefault: sinon.spy()};
+            window.onbeforeunload(event);
+            assert(event.preventDefault.calledOnce);
+            assert(event.returnValue === '');
+            assert(spy_exited.callCount === 0);
+
+            // asynchronous guards cannot be waited for
+            m.canExit = () => Promise.resolve(true);
+            window.onbeforeunload(event);
+            assert(event.preventDefault.calledTwice);
+
+            // a guard throwing an error blocks as well
+            m.canExit = () => {
+                throw new Error('failed');
+            };
+            window.onbeforeunload(event);
+            assert(event.preventDefault.calledThrice);
+
+            m.canExit = () => true;
+            window.onbeforeunload(event);
+            assert(event.preventDefault.calledThrice);
+            assert(spy_exited.calledOnce);
+        });
+
         it('history management without state object', (done) => {
             let historyObj;
             const requester = new Requester();
@@ -298,6 +369,101 @@ describe('Application', () => {
         });
     });
 
+    describe('stop and destroy methods', () => {
+        let listeners;
+
+        beforeEach(() => {
+            listeners = [];
+            global.document = multiEventTarget({readyState: 'interactive'}, listeners);
+            global.window = multiEventTarget({
+                location: {
+                    pathname: '/route1',
+                    search: ''
+                },
+                history: {
+                    pushState() {}
+                }
+            }, listeners);
+        });
+
+        it('listeners of other scripts are kept', () => {
+            const spy_other = sinon.spy();
+            window.addEventListener('popstate', spy_other);
+
+            const app = frontexpress();
+            const m = new MyMiddleware();
+            const spy_updated = sinon.spy(m, 'updated');
+            app.get('/route1', m);
+            app.listen();
+
+            window.dispatchEvent({type: 'popstate', state: {request: {method: 'GET', uri: '/route1'}, response: {}}});
+            assert(spy_other.calledOnce);
+            assert(spy_updated.calledTwice);
+        });
+
+        it('listening again does not add listeners', () => {
+            const app = frontexpress();
+            app.set('intercept navigation', true);
+            app.listen();
+            const count = listeners.length;
+            app.listen();
+            assert(listeners.length === count);
+        });
+
+        it('stop removes listeners and resets visited routes', () => {
+            const app = frontexpress();
+            app.set('intercept navigation', true);
+            const m = new MyMiddleware();
+            const spy_updated = sinon.spy(m, 'updated');
+            const spy_exited = sinon.spy(m, 'exited');
+            app.get('/route1', m);
+            app.listen();
+            assert(listeners.length === 5);
+            assert(app.routers[0].visited().length === 1);
+
+            assert(app.stop() === app);
+            assert(listeners.length === 0);
+            assert(app.routers[0].visited().length === 0);
+
+            window.dispatchEvent({type: 'popstate', state: {request: {method: 'GET', uri: '/route1'}, response: {}}});
+            window.dispatchEvent({type: 'beforeunload'});
+            assert(spy_updated.calledOnce);
+            assert(spy_exited.callCount === 0);
+
+            // listen again
+            app.listen();
+            assert(listeners.length === 5);
+            assert(spy_updated.calledTwice);
+        });
+
+        it('stop aborts the navigation in progress', () => {
+            const requester = new Requester();
+            sinon.stub(requester, 'fetch', () => ({abort() {}}));
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.listen();
+
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/route2', history: {uri: '/route2'}}, () => {}, spy_reject);
+            app.stop();
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].aborted);
+        });
+
+        it('destroy releases routers and plugins', () => {
+            const app = frontexpress();
+            app.get('/route1', new MyMiddleware());
+            app.use({name: 'my plugin', plugin() {}});
+            app.listen();
+
+            app.destroy();
+            assert(listeners.length === 0);
+            assert(app.routers.length === 0);
+            assert(app.plugins.length === 0);
+            assert(app.history.entries.length === 0);
+        });
+    });
+
     describe('set/get setting method', () => {
         it('custom setting', () => {
             const app = frontexpress();
@@ -317,6 +483,20 @@ describe('Application', () => {
             const app = frontexpress();
             chai.expect(() => (app.set('http requester', 'not an object with fetch function'))).to.throw(TypeError);
         });
+
+        it('http success status setting handed over to requester', (done) => {
+            const successStatus = status => status === 304;
+            const requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject, options) => {
+                assert(options.successStatus === successStatus);
+                done();
+            });
+
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http success status', successStatus);
+            app.httpGet('/route1', () => {});
+        });
     });
 
     describe('use method', () => {
@@ -955,6 +1135,64 @@ describe('Application', () => {
                 done();
             });
         });
+
+        it('asynchronous methods and next method', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const m1 = new MyMiddleware('m1');
+            const m2 = new MyMiddleware('m2');
+            const m3 = new MyMiddleware('m3');
+            const m4 = new MyMiddleware('m4');
+            let loaded = false;
+            m1.updated = () => new Promise((resolve) => setTimeout(() => {
+                loaded = true;
+                resolve();
+            }, 0));
+            m2.next = () => Promise.resolve(true);
+            m3.next = () => Promise.resolve(false);
+
+            const spy_m2 = sinon.stub(m2, 'updated', () => assert(loaded));
+            const spy_m3 = sinon.spy(m3, 'updated');
+            const spy_m4 = sinon.spy(m4, 'updated');
+
+            app.route('/route1').get(m1).get(m2).get(m3).get(m4);
+            app.httpGet('/route1', () => {
+                // resolved once the chain is over
+                assert(spy_m2.calledOnce);
+                assert(spy_m3.calledOnce);
+                assert(spy_m4.callCount === 0);
+                done();
+            });
+            assert(spy_m2.callCount === 0);
+        });
+
+        it('asynchronous entered method', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const calls = [];
+            const a = new MyMiddleware('a');
+            const b = new MyMiddleware('b');
+            a.entered = () => new Promise((resolve) => setTimeout(() => {
+                calls.push('a:entered');
+                resolve();
+            }, 0));
+            b.entered = () => calls.push('b:entered');
+            a.updated = () => calls.push('a:updated');
+            b.updated = () => Promise.resolve().then(() => calls.push('b:updated'));
+
+            app.get('/x', a);
+            app.get('/x', b);
+            app.httpGet('/x').then(() => {
+                assert.deepEqual(calls, ['a:entered', 'b:entered', 'a:updated', 'b:updated']);
+                assert(requester.fetch.calledOnce);
+                done();
+            }).catch(done);
+
+            // the request waits for the entered methods
+            assert(requester.fetch.callCount === 0);
+        });
     });
 
     describe('middleware as function', () => {
@@ -988,6 +1226,1939 @@ describe('Application', () => {
                 done();
             });
         });
+
+        it('next method called later', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const m1 = (req, res, next) => {
+                return Promise.resolve().then(() => {
+                    req.loaded = true;
+                    next();
+                    // called twice
+                    next();
+                });
+            };
+            const m2 = sinon.spy((req, res, next) => {
+                return new Promise(resolve => setTimeout(resolve, 0)).then(() => next());
+            });
+            const m3 = sinon.spy((req, res, next) => {
+                assert(req.loaded);
+                next();
+            });
+            const m4 = sinon.spy();
+
+            app.route('/route1').get(m1).get(m2).get(m3).get(m4);
+            app.httpGet('/route1', () => {
+                assert(m2.calledOnce);
+                assert(m3.calledOnce);
+                assert(m4.calledOnce);
+                done();
+            });
+        });
+
+        it('next method called from a timer', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const m1 = (req, res, next) => {
+                setTimeout(next, 0);
+            };
+            const m2 = sinon.spy();
+            const callback = sinon.spy();
+
+            app.route('/route1').get(m1).get(m2);
+            app.httpGet('/route1', callback);
+            assert(callback.calledOnce);
+            setTimeout(() => {
+                // the chain has stopped when m1 returned
+                assert(m2.callCount === 0);
+                assert(callback.calledOnce);
+                done();
+            }, 10);
+        });
+
+        it('next method with an error', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const error = new Error('not found');
+            const m1 = (req, res, next) => {next(error);};
+            const m2 = sinon.spy();
+            const m3 = sinon.spy((err, req, res, next) => {next(err);});
+            const m4 = sinon.spy((err, req, res, next) => {next();});
+            const m5 = sinon.spy();
+
+            app.route('/route1').get(m1).get(m2).get(m3).get(m4).get(m5);
+            app.httpGet('/route1', (request, response) => {
+                assert(m2.callCount === 0);
+                assert(m3.calledOnce);
+                assert(m3.firstCall.args[0] === error);
+                assert(m3.firstCall.args[1].uri === '/route1');
+                assert(m3.firstCall.args[2].status === 200);
+                assert(m4.calledOnce);
+                // error handled, the chain goes on
+                assert(m5.calledOnce);
+                done();
+            });
+        });
+
+        it('errors thrown or rejected', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const errors = [];
+            const m = new MyMiddleware();
+            m.updated = () => Promise.reject(new Error('rejected'));
+            app.route('/route1')
+                .get(() => {
+                    throw new Error('thrown');
+                })
+                .get((err, req, res, next) => {
+                    errors.push(err.message);
+                    next();
+                })
+                .get(m)
+                .get((err, req, res, next) => {
+                    errors.push(err.message);
+                    assert.deepEqual(errors, ['thrown', 'rejected']);
+                    done();
+                });
+            app.httpGet('/route1', () => {
+                assert.deepEqual(errors, ['thrown']);
+            });
+        });
+
+        it('error handler setting', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            const errorHandler = sinon.spy();
+            app.set('error handler', errorHandler);
+
+            const error = new Error('failed');
+            const m = new MyMiddleware();
+            sinon.stub(m, 'updated', () => {
+                throw error;
+            });
+            const errorMiddleware = sinon.spy((err, req, res, next) => {next(err);});
+            app.get('/route1', m);
+            app.get('/route1', errorMiddleware);
+            app.httpGet('/route1', () => {});
+
+            assert(errorMiddleware.calledOnce);
+            assert(errorHandler.calledOnce);
+            assert(errorHandler.firstCall.args[0] === error);
+            assert(errorHandler.firstCall.args[1].uri === '/route1');
+
+            // errors thrown by the following middleware are not handed over again
+            const app2 = frontexpress();
+            app2.set('http requester', requester);
+            app2.set('error handler', (err) => {
+                throw err;
+            });
+            const spy_first = sinon.spy((req, res, next) => {next();});
+            app2.get('/route1', spy_first);
+            app2.get('/route1', () => {
+                throw error;
+            });
+            chai.expect(() => app2.httpGet('/route1', () => {})).to.throw(error);
+            assert(spy_first.calledOnce);
+        });
+
+        it('errors thrown or rejected after next method called', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            const errorHandler = sinon.spy();
+            app.set('error handler', errorHandler);
+
+            const thrown = new Error('thrown');
+            const rejected = new Error('rejected');
+            const errorMiddleware = sinon.spy((err, req, res, next) => {next(err);});
+            app.route('/route1')
+                .get((req, res, next) => {
+                    next();
+                    throw thrown;
+                })
+                .get((req, res, next) => {
+                    next();
+                    return Promise.resolve().then(() => {
+                        throw rejected;
+                    });
+                })
+                .get(errorMiddleware);
+            app.httpGet('/route1', () => {});
+
+            setTimeout(() => {
+                assert(errorMiddleware.callCount === 0);
+                assert(errorHandler.calledTwice);
+                assert(errorHandler.firstCall.args[0] === thrown);
+                assert(errorHandler.secondCall.args[0] === rejected);
+                assert(errorHandler.secondCall.args[1].uri === '/route1');
+                done();
+            }, 10);
+        });
+    });
+
+    describe('middleware as plain object', () => {
+        beforeEach(()=>{
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', ({uri, method, headers, data}, resolve, reject) => {
+                if (uri === '/error') {
+                    reject({uri, method}, {status: 500, statusText: 'Internal Server Error'});
+                    return;
+                }
+                resolve(
+                    {uri, method, headers, data},
+                    {status: 200, statusText: 'OK', responseText:''}
+                );
+            });
+        });
+
+        it('phases', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const phases = {
+                entered: sinon.spy(),
+                updated: sinon.spy(),
+                failed: sinon.spy(),
+                exited: sinon.spy()
+            };
+            const spy_next = sinon.spy((req, res, next) => {next();});
+            app.get('/route1', phases);
+            app.get('/route1', spy_next);
+            app.use('/error', {failed: phases.failed});
+
+            app.httpGet('/route1', () => {});
+            assert(phases.entered.calledOnce);
+            assert(phases.entered.firstCall.args[0].uri === '/route1');
+            assert(phases.updated.calledOnce);
+            assert(phases.updated.firstCall.args[1].status === 200);
+            assert(spy_next.calledOnce);
+            assert(phases.exited.callCount === 0);
+
+            app.httpGet('/error', () => {}, () => {});
+            assert(phases.exited.calledOnce);
+            assert(phases.exited.firstCall.args[0].uri === '/route1');
+            assert(phases.failed.calledOnce);
+            assert(phases.failed.firstCall.args[1].status === 500);
+        });
+
+        it('guard', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('routing mode', 'memory');
+            app.listen();
+
+            const spy_updated = sinon.spy();
+            app.use('/admin', {canEnter: () => false});
+            app.get('/admin', spy_updated);
+
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/admin', history: {uri: '/admin'}}, () => {}, spy_reject);
+            assert(spy_reject.firstCall.args[1].cancelled);
+            assert(requester.fetch.callCount === 0);
+            assert(spy_updated.callCount === 0);
+        });
+
+        it('bad arguments', () => {
+            const app = frontexpress();
+            chai.expect(() => app.get('/route1', {foo() {}})).to.throw(TypeError);
+            chai.expect(() => app.use({name: 'not a middleware'})).to.throw(TypeError);
+        });
+    });
+
+    describe('http methods returning promise', () => {
+        it('resolves with request and response', (done) => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', ({uri, method, headers, data}, resolve, reject) => {
+                resolve(
+                    {uri, method, headers, data},
+                    {status: 200, statusText: 'OK', responseText:''}
+                );
+            });
+
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const spy = sinon.spy();
+            app.get('/route1', (request, response, next) => {spy();});
+
+            app.httpGet('/route1')
+                .then(({request, response}) => {
+                    assert(spy.calledOnce);
+                    assert(request.uri === '/route1');
+                    assert(response.status === 200);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('rejects with request and response', (done) => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', ({uri, method, headers, data}, resolve, reject) => {
+                reject(
+                    {uri, method, headers, data},
+                    {status: 404, statusText: 'page not found'}
+                );
+            });
+
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            app.httpPost({uri: '/route1', data: {p1: 'a'}})
+                .then(() => done('should fail'))
+                .catch(({request, response}) => {
+                    assert(request.method === 'POST');
+                    assert(response.status === 404);
+                    done();
+                });
+        });
+
+        it('can be combined with Promise.all', (done) => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', ({uri, method, headers, data}, resolve, reject) => {
+                resolve(
+                    {uri, method, headers, data},
+                    {status: 200, statusText: 'OK', responseText: uri}
+                );
+            });
+
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            Promise.all([app.httpGet('/route1'), app.httpGet('/route2')])
+                .then(([first, second]) => {
+                    assert(first.response.responseText === '/route1');
+                    assert(second.response.responseText === '/route2');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('returns an abort handle when callbacks are passed', () => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', ({uri, method, headers, data}, resolve, reject) => {
+                resolve(
+                    {uri, method, headers, data},
+                    {status: 200, statusText: 'OK', responseText:''}
+                );
+            });
+
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const handle = app.httpGet('/route1', () => {});
+            assert(!(handle instanceof Promise));
+            assert(typeof handle.abort === 'function');
+        });
+    });
+
+    describe('http transformers', () => {
+        beforeEach(() => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                if (request.uri === '/error') {
+                    reject(request, {status: 400, statusText: 'Bad Request', responseText: '{"error":"invalid"}'});
+                    return;
+                }
+                resolve(request, {status: 201, statusText: 'Created', responseText: '{"id":1}'});
+            });
+        });
+
+        it('JSON transformer on POST method', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http POST transformer', frontexpress.httpJsonTransformer);
+
+            app.post('/route1', (request, response, next) => {
+                assert.deepEqual(response.data, {id: 1});
+                next();
+            });
+
+            app.httpPost({uri: '/route1', data: {a: 'b'}}, (request, response) => {
+                const sentRequest = requester.fetch.firstCall.args[0];
+                assert(sentRequest.data === '{"a":"b"}');
+                assert(sentRequest.headers['Content-Type'] === 'application/json');
+                assert.deepEqual(response.data, {id: 1});
+                done();
+            });
+        });
+
+        it('JSON transformer on failed request', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http PUT transformer', frontexpress.httpJsonTransformer);
+
+            app.httpPut({uri: '/error', data: {a: 'b'}}, null, (request, response) => {
+                assert.deepEqual(response.data, {error: 'invalid'});
+                done();
+            });
+        });
+
+        it('response transformer unwraps envelope', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http POST transformer', frontexpress.httpJsonTransformer);
+            app.set('http POST response transformer', ({request, response}) => {
+                response.data = {user: response.data};
+                return response;
+            });
+
+            const m = new MyMiddleware();
+            const spy_updated = sinon.spy(m, 'updated');
+            app.post('/route1', m);
+
+            app.httpPost({uri: '/route1', data: {a: 'b'}}, (request, response) => {
+                assert.deepEqual(response.data, {user: {id: 1}});
+                assert(spy_updated.firstCall.args[1] === response);
+                done();
+            });
+        });
+
+        it('response transformer converts success into failure', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http GET response transformer', ({request, response}) => {
+                return Object.assign({}, response, {errors: 'invalid id'});
+            });
+
+            const m = new MyMiddleware();
+            const spy_updated = sinon.spy(m, 'updated');
+            const spy_failed = sinon.spy(m, 'failed');
+            app.get('/route1', m);
+
+            app.httpGet('/route1', () => done('should fail'), (request, response) => {
+                assert(response.status === 201);
+                assert(response.errors === 'invalid id');
+                assert(spy_updated.callCount === 0);
+                assert(spy_failed.calledOnce);
+                done();
+            });
+        });
+
+        it('response transformer normalizes errors', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http DELETE response transformer', ({request, response}) => {
+                response.errors = `${response.status}: ${JSON.parse(response.responseText).error}`;
+            });
+
+            app.httpDelete('/error', () => done('should fail'), (request, response) => {
+                assert(response.errors === '400: invalid');
+                done();
+            });
+        });
+
+        it('response transformer throwing', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            const error = new Error('no envelope');
+            app.set('http GET response transformer', () => {
+                throw error;
+            });
+
+            const m = new MyMiddleware();
+            const spy_failed = sinon.spy(m, 'failed');
+            app.get('/route1', m);
+
+            app.httpGet('/route1').then(() => done('should fail')).catch(({response}) => {
+                assert(response.status === 201);
+                assert(response.errorThrown === error);
+                assert(response.errors === 'HTTP response transformer failed');
+                assert(spy_failed.calledOnce);
+                done();
+            }).catch(done);
+        });
+
+        it('response transformer applies only on its method', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http POST response transformer', ({request, response}) => {
+                response.errors = 'error';
+            });
+
+            app.httpGet('/route1', (request, response) => {
+                assert(response.errors === undefined);
+                done();
+            });
+        });
+
+        it('bad response transformer setting', () => {
+            const app = frontexpress();
+            chai.expect(() => app.set('http GET response transformer', {})).to.throw(TypeError);
+            chai.expect(() => app.set('http DELETE response transformer', null)).to.throw(TypeError);
+        });
+
+        it('request transformer', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            app.httpPatch({uri: '/route1', data: {a: 'b'}, transformer: frontexpress.httpJsonTransformer}, (request, response) => {
+                assert(request.transformer === undefined);
+                assert(request.data === '{"a":"b"}');
+                assert.deepEqual(response.data, {id: 1});
+
+                // the setting is used again by the next request
+                app.httpPatch({uri: '/route1', data: {a: 'b'}}, (request, response) => {
+                    assert(request.data === 'a=b');
+                    assert(response.data === undefined);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('request abort', () => {
+        let pendingRequest;
+        let pendingResolve;
+
+        beforeEach(() => {
+            pendingRequest = {abort: sinon.spy()};
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                pendingResolve = () => resolve(request, {status: 200, statusText: 'OK', responseText:''});
+                return pendingRequest;
+            });
+        });
+
+        it('abort from handle', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const m = new MyMiddleware();
+            const spy_aborted = sinon.spy(m, 'aborted');
+            const spy_updated = sinon.spy(m, 'updated');
+            const spy_failed = sinon.spy(m, 'failed');
+            const spy_function = sinon.spy();
+            app.get('/route1', m);
+            app.get('/route1', (req, res, next) => {spy_function();});
+
+            const spy_resolve = sinon.spy();
+            const spy_reject = sinon.spy();
+            const handle = app.httpGet('/route1', spy_resolve, spy_reject);
+            handle.abort();
+
+            assert(pendingRequest.abort.calledOnce);
+            assert(spy_aborted.calledOnce);
+            assert(spy_aborted.firstCall.args[0].uri === '/route1');
+            assert(spy_aborted.firstCall.args[1].aborted);
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].aborted);
+            assert(spy_function.callCount === 0);
+
+            // late response is ignored
+            pendingResolve();
+            handle.abort();
+            assert(spy_updated.callCount === 0);
+            assert(spy_failed.callCount === 0);
+            assert(spy_resolve.callCount === 0);
+            assert(spy_aborted.calledOnce);
+            assert(pendingRequest.abort.calledOnce);
+        });
+
+        it('abort from promise', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const pending = app.httpGet('/route1');
+            pending
+                .then(() => done('should fail'))
+                .catch(({request, response}) => {
+                    assert(request.uri === '/route1');
+                    assert(response.aborted);
+                    assert(pendingRequest.abort.calledOnce);
+                    done();
+                });
+            pending.abort();
+        });
+
+        it('abort after response is ignored', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const m = new MyMiddleware();
+            const spy_aborted = sinon.spy(m, 'aborted');
+            app.get('/route1', m);
+
+            const handle = app.httpGet('/route1', () => {
+                handle.abort();
+                assert(spy_aborted.callCount === 0);
+                assert(pendingRequest.abort.callCount === 0);
+                done();
+            });
+            pendingResolve();
+        });
+
+        it('superseded navigation not aborted by default', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const m = new MyMiddleware();
+            const spy_aborted = sinon.spy(m, 'aborted');
+            app.get(m);
+
+            app.httpGet({uri: '/route1', history: {uri: '/route1'}}, () => {});
+            app.httpGet({uri: '/route2', history: {uri: '/route2'}}, () => {});
+
+            assert(spy_aborted.callCount === 0);
+            assert(pendingRequest.abort.callCount === 0);
+        });
+
+        it('superseded navigation aborted', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('abort superseded navigation', true);
+
+            const m = new MyMiddleware();
+            const spy_aborted = sinon.spy(m, 'aborted');
+            app.get(m);
+
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/route1', history: {uri: '/route1'}}, null, spy_reject);
+            // requests without history are not navigations
+            app.httpGet('/api/data', () => {});
+            assert(spy_aborted.callCount === 0);
+
+            app.httpGet({uri: '/route2', history: {uri: '/route2'}}, () => {});
+            assert(spy_aborted.calledOnce);
+            assert(spy_aborted.firstCall.args[0].uri === '/route1');
+            assert(spy_aborted.firstCall.args[1].superseded);
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].aborted);
+            assert(spy_reject.firstCall.args[1].superseded);
+            assert(pendingRequest.abort.calledOnce);
+        });
+
+        it('superseded navigation promise resolved', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('abort superseded navigation', true);
+
+            const pending = app.httpGet({uri: '/route1', history: {uri: '/route1'}});
+            app.httpGet({uri: '/route2', history: {uri: '/route2'}}, () => {});
+
+            pending.then(({request, response}) => {
+                assert(request.uri === '/route1');
+                assert(response.aborted);
+                assert(response.superseded);
+                assert(response.errors === 'HTTP request superseded');
+                done();
+            }).catch(done);
+        });
+
+        it('explicitly aborted navigation promise rejected', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('abort superseded navigation', true);
+
+            const pending = app.httpGet({uri: '/route1', history: {uri: '/route1'}});
+            pending.then(() => done('should be rejected')).catch(({response}) => {
+                assert(response.aborted);
+                assert(response.superseded === undefined);
+                done();
+            }).catch(done);
+            pending.abort();
+        });
+
+        it('bad abort superseded navigation setting', () => {
+            const app = frontexpress();
+            chai.expect(() => app.set('abort superseded navigation', 'yes')).to.throw(TypeError);
+        });
+    });
+
+    describe('request timeout', () => {
+        let clock;
+        let pendingRequest;
+        let pendingResolve;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            pendingRequest = {abort: sinon.spy()};
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                pendingResolve = () => resolve(request, {status: 200, statusText: 'OK', responseText:''});
+                return pendingRequest;
+            });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('no timeout by default', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const m = new MyMiddleware();
+            const spy_failed = sinon.spy(m, 'failed');
+            app.get('/route1', m);
+
+            app.httpGet('/route1', () => {});
+            clock.tick(60000);
+            assert(spy_failed.callCount === 0);
+            assert(pendingRequest.abort.callCount === 0);
+        });
+
+        it('global timeout setting', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http timeout', 1000);
+
+            const m = new MyMiddleware();
+            const spy_failed = sinon.spy(m, 'failed');
+            const spy_updated = sinon.spy(m, 'updated');
+            app.get('/route1', m);
+
+            const spy_reject = sinon.spy();
+            app.httpGet('/route1', () => {}, spy_reject);
+            clock.tick(999);
+            assert(spy_failed.callCount === 0);
+
+            clock.tick(1);
+            assert(pendingRequest.abort.calledOnce);
+            assert(spy_failed.calledOnce);
+            const [request, response] = spy_failed.firstCall.args;
+            assert(request.timeout === 1000);
+            assert(response.timedOut);
+            assert(response.errorThrown.name === 'TimeoutError');
+            assert(response.errors.length !== 0);
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].timedOut);
+
+            // late response is ignored
+            pendingResolve();
+            assert(spy_updated.callCount === 0);
+        });
+
+        it('request timeout overrides the setting', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http timeout', 1000);
+
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/route1', timeout: 5000}, () => {}, spy_reject);
+            clock.tick(1000);
+            assert(spy_reject.callCount === 0);
+            clock.tick(4000);
+            assert(spy_reject.calledOnce);
+        });
+
+        it('response before timeout', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const spy_resolve = sinon.spy();
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/route1', timeout: 1000}, spy_resolve, spy_reject);
+            pendingResolve();
+            clock.tick(1000);
+            assert(spy_resolve.calledOnce);
+            assert(spy_reject.callCount === 0);
+            assert(pendingRequest.abort.callCount === 0);
+        });
+
+        it('bad http timeout setting', () => {
+            const app = frontexpress();
+            chai.expect(() => app.set('http timeout', '1000')).to.throw(TypeError);
+            chai.expect(() => app.set('http timeout', -1)).to.throw(TypeError);
+        });
+    });
+
+    describe('request retry', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            let calls = 0;
+            requester = new Requester();
+            // fails twice with 503 then succeeds
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                calls++;
+                if (calls < 3) {
+                    reject(request, {status: 503, statusText: 'Service Unavailable'});
+                } else {
+                    resolve(request, {status: 200, statusText: 'OK', responseText:''});
+                }
+            });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('no retry by default', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            const spy_reject = sinon.spy();
+            app.httpGet('/route1', () => {}, spy_reject);
+            assert(requester.fetch.calledOnce);
+            assert(spy_reject.calledOnce);
+        });
+
+        it('retry with backoff', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http retry', {attempts: 3, jitter: 0});
+
+            const m = new MyMiddleware();
+            const spy_retrying = sinon.spy(m, 'retrying');
+            const spy_failed = sinon.spy(m, 'failed');
+            const spy_updated = sinon.spy(m, 'updated');
+            app.get('/route1', m);
+
+            const spy_resolve = sinon.spy();
+            app.httpGet('/route1', spy_resolve);
+            assert(requester.fetch.calledOnce);
+            assert(spy_retrying.calledOnce);
+            assert(spy_retrying.firstCall.args[0].attempt === 2);
+            assert(spy_retrying.firstCall.args[1].status === 503);
+
+            clock.tick(99);
+            assert(requester.fetch.calledOnce);
+            clock.tick(1);
+            assert(requester.fetch.calledTwice);
+            assert(spy_retrying.calledTwice);
+
+            clock.tick(200);
+            assert(requester.fetch.calledThrice);
+            assert(spy_failed.callCount === 0);
+            assert(spy_updated.calledOnce);
+            assert(spy_resolve.calledOnce);
+        });
+
+        it('retry attempts exhausted', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http retry', {attempts: 2, jitter: 0});
+
+            const m = new MyMiddleware();
+            const spy_failed = sinon.spy(m, 'failed');
+            app.get('/route1', m);
+
+            const spy_reject = sinon.spy();
+            app.httpGet('/route1', () => {}, spy_reject);
+            clock.tick(100);
+            assert(requester.fetch.calledTwice);
+            assert(spy_failed.calledOnce);
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].status === 503);
+        });
+
+        it('POST not retried by default', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http retry', {attempts: 3});
+
+            const spy_reject = sinon.spy();
+            app.httpPost('/route1', () => {}, spy_reject);
+            assert(requester.fetch.calledOnce);
+            assert(spy_reject.calledOnce);
+        });
+
+        it('request retry policy', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http retry', {attempts: 3});
+
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/route1', retry: false}, () => {}, spy_reject);
+            assert(requester.fetch.calledOnce);
+            assert(spy_reject.calledOnce);
+
+            const spy_resolve = sinon.spy();
+            app.httpPost({uri: '/route1', retry: {methods: ['POST'], jitter: 0}}, spy_resolve);
+            clock.tick(100);
+            assert(requester.fetch.calledThrice);
+            assert(spy_resolve.calledOnce);
+        });
+
+        it('abort while waiting for a retry', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http retry', {attempts: 3, jitter: 0});
+
+            const spy_reject = sinon.spy();
+            const handle = app.httpGet('/route1', () => {}, spy_reject);
+            handle.abort();
+            clock.tick(1000);
+            assert(requester.fetch.calledOnce);
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].aborted);
+        });
+
+        it('bad http retry setting', () => {
+            const app = frontexpress();
+            chai.expect(() => app.set('http retry', null)).to.throw(TypeError);
+            chai.expect(() => app.set('http retry', 3)).to.throw(TypeError);
+            chai.expect(() => app.set('http retry', {attempts: '3'})).to.throw(TypeError);
+        });
+    });
+
+    describe('history management', () => {
+        beforeEach(() => {
+            global.window = eventTarget({
+                location: {
+                    pathname: '/',
+                    search: ''
+                },
+                history: {
+                    pushState: sinon.spy(),
+                    replaceState: sinon.spy()
+                }
+            });
+            global.document = eventTarget({});
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: '', body: {}, parse() {}});
+            });
+        });
+
+        it('push history entry with user state', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            app.httpGet({uri: '/api/users', history: {uri: '/users', title: 'users', state: {page: 1}}}, () => {});
+            assert(window.history.replaceState.callCount === 0);
+            assert(window.history.pushState.calledOnce);
+            const [state, title, uri] = window.history.pushState.firstCall.args;
+            assert(state.request.uri === '/api/users');
+            assert(state.response.status === 200);
+            assert(state.state.page === 1);
+            assert(title === 'users');
+            assert(uri === '/users');
+            assert(document.title === undefined);
+        });
+
+        it('replace history entry', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            app.httpGet({uri: '/api/users?page=2', history: {uri: '/users?page=2', replace: true}}, () => {});
+            assert(window.history.pushState.callCount === 0);
+            assert(window.history.replaceState.calledOnce);
+            assert(window.history.replaceState.firstCall.args[2] === '/users?page=2');
+        });
+
+        it('history state contains only cloneable values', () => {
+            class Signal {}
+            const app = frontexpress();
+            app.set('http requester', requester);
+
+            app.httpGet({uri: '/api/users', signal: new Signal(), history: {uri: '/users'}}, () => {});
+            const {request, response} = window.history.pushState.firstCall.args[0];
+            assert(request.signal === undefined);
+            assert(request.uri === '/api/users');
+            assert(request.history.uri === '/users');
+            assert(response.body !== undefined);
+            assert(response.parse === undefined);
+        });
+
+        it('update document title', () => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('update document title', true);
+
+            app.httpGet({uri: '/api/users', history: {uri: '/users', title: 'users'}}, () => {});
+            assert(document.title === 'users');
+
+            app.listen();
+            window.onpopstate({state: {request: {method: 'GET', uri: '/', history: {title: 'home'}}, response: {}}});
+            assert(document.title === 'home');
+        });
+
+        it('bad update document title setting', () => {
+            const app = frontexpress();
+            chai.expect(() => app.set('update document title', 'yes')).to.throw(TypeError);
+        });
+    });
+
+    describe('untracked history entries', () => {
+        let app, m1, m2, spy_updated1, spy_updated2;
+
+        beforeEach(() => {
+            global.document = eventTarget({readyState: 'interactive'});
+            global.window = eventTarget({
+                location: {
+                    pathname: '/route1',
+                    search: ''
+                },
+                history: {
+                    pushState: sinon.spy(),
+                    replaceState: sinon.spy()
+                }
+            });
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: 'from server'});
+            });
+
+            app = frontexpress();
+            app.set('http requester', requester);
+            m1 = new MyMiddleware();
+            m2 = new MyMiddleware();
+            spy_updated1 = sinon.spy(m1, 'updated');
+            spy_updated2 = sinon.spy(m2, 'updated');
+            app.get('/route1', m1);
+            app.get('/route2', m2);
+        });
+
+        afterEach(() => {
+            global.document = eventTarget({});
+        });
+
+        it('back to the initial entry', () => {
+            app.listen();
+            app.navigate('/route2');
+            assert(spy_updated2.calledOnce);
+
+            window.location.pathname = '/route1';
+            window.onpopstate({state: null});
+            assert(spy_updated1.calledTwice);
+            assert(spy_updated1.secondCall.args[1].status === 200);
+            assert(requester.fetch.callCount === 0);
+            assert(app.history.index === 0);
+
+            // anchor of the current page
+            window.onpopstate({state: null});
+            assert(spy_updated1.calledTwice);
+        });
+
+        it('refetch the initial entry', () => {
+            app.set('refetch untracked entries', true);
+            app.listen();
+            app.navigate('/route2');
+
+            window.location.pathname = '/route1';
+            window.onpopstate({state: null});
+            assert(requester.fetch.calledOnce);
+            assert(requester.fetch.firstCall.args[0].uri === '/route1');
+            assert(spy_updated1.secondCall.args[1].responseText === 'from server');
+        });
+
+        it('entry created by another script', () => {
+            app.listen();
+
+            window.location.pathname = '/route2';
+            window.onpopstate({state: null});
+            assert(spy_updated2.calledOnce);
+            assert(window.history.pushState.callCount === 0);
+        });
+
+        it('entry created by another script with its own state', () => {
+            app.listen();
+            app.navigate('/route2');
+
+            window.location.pathname = '/route1';
+            chai.expect(() => window.onpopstate({state: {analytics: 1}})).to.not.throw();
+            assert(spy_updated1.calledTwice);
+            assert(app.history.index === 0);
+
+            window.location.pathname = '/route2';
+            window.onpopstate({state: {analytics: 2}});
+            assert(spy_updated2.calledTwice);
+        });
+
+        it('bad refetch untracked entries setting', () => {
+            chai.expect(() => app.set('refetch untracked entries', 'yes')).to.throw(TypeError);
+        });
+    });
+
+    describe('hash routing mode', () => {
+        beforeEach(() => {
+            global.window = eventTarget({
+                location: {
+                    pathname: '/index.html',
+                    search: '',
+                    hash: '#/route1'
+                },
+                history: {
+                    state: null,
+                    pushState: sinon.spy(),
+                    replaceState: sinon.spy()
+                }
+            });
+            global.document = eventTarget({readyState: 'interactive'});
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: ''});
+            });
+        });
+
+        afterEach(() => {
+            global.document = eventTarget({});
+        });
+
+        it('routes the hash path', () => {
+            const app = frontexpress();
+            app.set('routing mode', 'hash');
+            app.set('http requester', requester);
+
+            const m1 = new MyMiddleware();
+            const spy_updated1 = sinon.spy(m1, 'updated');
+            const spy_exited1 = sinon.spy(m1, 'exited');
+            const m2 = new MyMiddleware();
+            const spy_updated2 = sinon.spy(m2, 'updated');
+            app.get('/route1', m1);
+            app.get('/route2', m2);
+
+            app.listen();
+            assert(spy_updated1.calledOnce);
+            assert(spy_updated1.firstCall.args[0].uri === '/route1');
+
+            // link to a hash
+            window.location.hash = '#/route2';
+            window.onhashchange();
+            assert(requester.fetch.callCount === 0);
+            assert(spy_exited1.calledOnce);
+            assert(spy_updated2.calledOnce);
+            assert(spy_updated2.firstCall.args[0].uri === '/route2');
+            assert(window.history.pushState.callCount === 0);
+
+            // the new entry is tagged and tracked
+            assert(window.history.replaceState.calledOnce);
+            assert(window.history.replaceState.firstCall.args[0].position === 1);
+            assert.deepEqual(app.history.entries.map(entry => entry.uri), ['/route1', '/route2']);
+        });
+
+        it('leave guards of a link to a hash checked once', () => {
+            const app = frontexpress();
+            app.set('routing mode', 'hash');
+            app.set('http requester', requester);
+
+            const m1 = new MyMiddleware();
+            const spy_canExit = sinon.spy(m1, 'canExit');
+            const m2 = new MyMiddleware();
+            const spy_updated2 = sinon.spy(m2, 'updated');
+            app.get('/route1', m1);
+            app.get('/route2', m2);
+            app.listen();
+
+            window.location.hash = '#/route2';
+            window.onhashchange();
+            assert(spy_canExit.calledOnce);
+            assert(spy_canExit.firstCall.args[1].uri === '/route2');
+            assert(spy_updated2.calledOnce);
+        });
+
+        it('writes history entries as hashes', () => {
+            const app = frontexpress();
+            app.set('routing mode', 'hash');
+            app.set('http requester', requester);
+
+            const m = new MyMiddleware();
+            const spy_updated = sinon.spy(m, 'updated');
+            app.get('/api/route2', m);
+
+            app.listen();
+            app.httpGet({uri: '/api/route2', history: {uri: '/route2'}}, () => {});
+            assert(window.history.pushState.calledOnce);
+            assert(window.history.pushState.firstCall.args[2] === '#/route2');
+
+            // back to an entry managed by frontexpress
+            window.history.state = window.history.pushState.firstCall.args[0];
+            window.onhashchange();
+            assert(spy_updated.calledTwice);
+            assert(requester.fetch.calledOnce);
+        });
+
+        it('bad routing mode setting', () => {
+            const app = frontexpress();
+            chai.expect(() => app.set('routing mode', 'path')).to.throw(TypeError);
+        });
+    });
+
+    describe('memory routing mode', () => {
+        let browserWindow, browserDocument;
+
+        beforeEach(() => {
+            browserWindow = global.window;
+            browserDocument = global.document;
+            delete global.window;
+            delete global.document;
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: ''});
+            });
+        });
+
+        afterEach(() => {
+            global.window = browserWindow;
+            global.document = browserDocument;
+        });
+
+        it('page reloaded on an entry created by frontexpress', () => {
+            // entries pushed before the page was loaded again
+            const history = new frontexpress.MemoryHistory('/');
+            ['/page1', '/page2', '/page3'].forEach((uri, index) => {
+                const request = {method: 'GET', uri, history: {uri, title: uri}};
+                history.push({request, response: {status: 200}, position: index + 1}, uri, uri);
+            });
+            history.go(-1);
+
+            const app = frontexpress();
+            app.set('routing mode', history);
+            const form = new MyMiddleware();
+            const spy_updated = sinon.spy(form, 'updated');
+            app.get('/page2', form);
+            app.listen();
+
+            assert(app.history.index === 2);
+            assert(app.history.entries.length === 3);
+            assert(app.history.entries[2].uri === '/page2');
+            assert(app.history.entries[1].uri === undefined);
+
+            // blocked move is reverted to the entry reloaded
+            form.canExit = () => false;
+            sinon.spy(history, 'go');
+            history.back();
+            assert(history.go.secondCall.args[0] === 1);
+            assert(history.location() === '/page2');
+            assert(app.history.index === 2);
+
+            // the entries visited are known again
+            form.canExit = () => true;
+            history.back();
+            assert(app.history.index === 1);
+            assert(app.history.entries[1].uri === '/page1');
+            assert(app.history.entries[1].title === '/page1');
+            assert(spy_updated.calledOnce);
+
+            // back to the initial entry, without state
+            history.back();
+            assert(history.location() === '/');
+            assert(app.history.index === 0);
+            assert(app.history.entries[0].uri === '/');
+
+            app.navigate('/c');
+            assert(app.history.index === 1);
+            assert(history.state().position === 1);
+            assert(history.state().initialUri === '/');
+        });
+
+        it('page reloaded knows the initial entry', () => {
+            const history = new frontexpress.MemoryHistory('/');
+            ['/page1', '/page2'].forEach((uri, index) => {
+                const request = {method: 'GET', uri, history: {uri}};
+                history.push({request, response: {status: 200}, position: index + 1, initialUri: '/'}, uri, uri);
+            });
+
+            const app = frontexpress();
+            app.set('routing mode', history);
+            app.listen();
+            assert(app.history.index === 2);
+            assert(app.history.entries[0].uri === '/');
+            assert(app.history.entries[1].uri === undefined);
+
+            history.go(-2);
+            assert(app.history.index === 0);
+        });
+
+        it('initial page updated once entered', (done) => {
+            const app = frontexpress();
+            app.set('routing mode', 'memory');
+
+            const m = new MyMiddleware();
+            let entered = false;
+            m.entered = () => Promise.resolve().then(() => {
+                entered = true;
+            });
+            const spy_updated = sinon.stub(m, 'updated', () => assert(entered));
+            app.get('/', m);
+
+            app.listen(() => {
+                assert(spy_updated.calledOnce);
+                done();
+            });
+            assert(spy_updated.callCount === 0);
+        });
+
+        it('routes without browser objects', () => {
+            const app = frontexpress();
+            app.set('routing mode', 'memory');
+            app.set('http requester', requester);
+
+            const m1 = new MyMiddleware();
+            const spy_updated1 = sinon.spy(m1, 'updated');
+            const m2 = new MyMiddleware();
+            const spy_updated2 = sinon.spy(m2, 'updated');
+            const spy_exited2 = sinon.spy(m2, 'exited');
+            app.get('/', m1);
+            app.get('/api/route2', m2);
+
+            const spy_listen = sinon.spy();
+            app.listen(spy_listen);
+            assert(spy_listen.calledOnce);
+            assert(spy_updated1.calledOnce);
+
+            app.httpGet({uri: '/api/route2', history: {uri: '/route2'}}, () => {});
+            assert(spy_updated2.calledOnce);
+
+            // back to the initial entry routes its uri again
+            const history = app._history();
+            history.back();
+            assert(spy_exited2.calledOnce);
+            assert(spy_updated1.calledTwice);
+            assert(requester.fetch.calledOnce);
+
+            // forward replays the entry stored
+            history.forward();
+            assert(spy_updated2.calledTwice);
+            assert(requester.fetch.calledOnce);
+        });
+
+        it('custom history', () => {
+            const app = frontexpress();
+            const history = new frontexpress.MemoryHistory('/route1');
+            app.set('routing mode', history);
+
+            const m = new MyMiddleware();
+            const spy_updated = sinon.spy(m, 'updated');
+            app.get('/route1', m);
+
+            app.listen();
+            assert(spy_updated.calledOnce);
+            assert(app._history() === history);
+        });
+
+        it('bad custom history setting', () => {
+            const app = frontexpress();
+            chai.expect(() => app.set('routing mode', {location() {}})).to.throw(TypeError);
+        });
+    });
+
+    describe('back, forward and go methods', () => {
+        let app, m1, m2;
+
+        beforeEach(() => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: request.uri});
+            });
+
+            app = frontexpress();
+            app.set('routing mode', new frontexpress.MemoryHistory('/'));
+            app.set('http requester', requester);
+            m1 = new MyMiddleware();
+            m2 = new MyMiddleware();
+            app.get('/api/route1', m1);
+            app.get('/api/route2', m2);
+            app.listen();
+        });
+
+        it('moves through the entries with middleware lifecycle', () => {
+            const spy_updated1 = sinon.spy(m1, 'updated');
+            const spy_exited2 = sinon.spy(m2, 'exited');
+            app.httpGet({uri: '/api/route1', history: {uri: '/route1', title: 'route 1'}}, () => {});
+            app.httpGet({uri: '/api/route2', history: {uri: '/route2', title: 'route 2'}}, () => {});
+
+            assert(app.back() === app);
+            assert(spy_exited2.calledOnce);
+            assert(spy_updated1.calledTwice);
+            assert(app.history.index === 1);
+
+            app.go(-1);
+            assert(app.history.index === 0);
+
+            app.forward().forward();
+            assert(app.history.index === 2);
+            assert(requester.fetch.calledTwice);
+        });
+
+        it('history view', () => {
+            app.httpGet({uri: '/api/route1', history: {uri: '/route1', title: 'route 1'}}, () => {});
+            app.httpGet({uri: '/api/route2', history: {uri: '/route2', title: 'route 2'}}, () => {});
+
+            const {entries, index} = app.history;
+            assert(index === 2);
+            assert(entries.length === 3);
+            assert(entries[0].uri === '/');
+            assert(entries[1].request.uri === '/api/route1');
+            assert(entries[1].response.responseText === '/api/route1');
+            assert(entries[1].title === 'route 1');
+            assert(entries[2].uri === '/route2');
+
+            // replace keeps the following entries
+            app.back();
+            app.navigate('/route3', {replace: true, title: 'route 3'});
+            assert.deepEqual(app.history.entries.map(entry => entry.uri), ['/', '/route3', '/route2']);
+            assert(app.history.index === 1);
+
+            // push drops the following entries
+            app.navigate('/route4');
+            assert.deepEqual(app.history.entries.map(entry => entry.uri), ['/', '/route3', '/route4']);
+
+            // view cannot alter the entries
+            app.history.entries.pop();
+            assert(app.history.entries.length === 3);
+        });
+    });
+
+    describe('history restore strategy', () => {
+        let app, history, m1, spy_updated1, fetchCount;
+
+        beforeEach(() => {
+            fetchCount = 0;
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                fetchCount++;
+                resolve(request, {status: 200, statusText: 'OK', responseText: `${request.uri} ${fetchCount}`, body: `${request.uri} ${fetchCount}`});
+            });
+
+            app = frontexpress();
+            history = new frontexpress.MemoryHistory('/');
+            app.set('routing mode', history);
+            app.set('http requester', requester);
+            m1 = new MyMiddleware();
+            spy_updated1 = sinon.spy(m1, 'updated');
+            app.get('/api/route1', m1);
+            app.get('/api/route2', new MyMiddleware());
+            app.listen();
+        });
+
+        it('replay by default', () => {
+            app.httpGet({uri: '/api/route1', history: {uri: '/route1'}}, () => {});
+            app.httpGet({uri: '/api/route2', history: {uri: '/route2'}}, () => {});
+            assert(history.entries[1].state.response.responseText === '/api/route1 1');
+
+            app.back();
+            assert(requester.fetch.calledTwice);
+            assert(spy_updated1.secondCall.args[1].responseText === '/api/route1 1');
+        });
+
+        it('refetch', () => {
+            app.set('history restore strategy', 'refetch');
+            app.httpGet({uri: '/api/route1', data: {p: 1}, history: {uri: '/route1'}}, () => {});
+            app.httpGet({uri: '/api/route2', history: {uri: '/route2'}}, () => {});
+
+            // response body not stored
+            const {request, response} = history.entries[1].state;
+            assert(response.status === 200);
+            assert(response.responseText === undefined);
+            assert(response.body === undefined);
+            assert(app.history.entries[1].response.responseText === '/api/route1?p=1 1');
+
+            app.back();
+            assert(requester.fetch.calledThrice);
+            assert(requester.fetch.thirdCall.args[0].uri === '/api/route1?p=1');
+            assert(request.uri === '/api/route1?p=1');
+            assert(spy_updated1.calledTwice);
+            assert(spy_updated1.secondCall.args[1].responseText === '/api/route1?p=1 3');
+
+            // no new history entry
+            assert(history.entries.length === 3);
+            assert(history.index === 1);
+        });
+
+        it('refetch only GET requests', () => {
+            app.set('history restore strategy', 'refetch');
+            const m = new MyMiddleware();
+            const spy_updated = sinon.spy(m, 'updated');
+            app.post('/api/route3', m);
+            app.httpPost({uri: '/api/route3', history: {uri: '/route3'}}, () => {});
+            app.navigate('/route4');
+
+            assert(history.entries[1].state.response.responseText === '/api/route3 1');
+            app.back();
+            assert(requester.fetch.calledOnce);
+            assert(spy_updated.calledTwice);
+        });
+
+        it('cache', () => {
+            app.set('history restore strategy', 'cache');
+            app.set('history cache size', 1);
+            app.httpGet({uri: '/api/route1', history: {uri: '/route1'}}, () => {});
+            app.httpGet({uri: '/api/route2', history: {uri: '/route2'}}, () => {});
+            assert(history.entries[1].state.response.responseText === undefined);
+
+            // route1 is out of the cache
+            app.back();
+            assert(requester.fetch.calledThrice);
+            assert(spy_updated1.secondCall.args[1].responseText === '/api/route1 3');
+
+            // route1 took the place of route2 in the cache
+            app.forward();
+            assert(requester.fetch.callCount === 4);
+
+            app.set('history cache size', 2);
+            app.back();
+            assert(requester.fetch.callCount === 5);
+
+            // both are cached
+            app.forward();
+            app.back();
+            assert(requester.fetch.callCount === 5);
+            assert(spy_updated1.lastCall.args[1].responseText === '/api/route1 5');
+        });
+
+        it('bad history restore settings', () => {
+            chai.expect(() => app.set('history restore strategy', 'none')).to.throw(TypeError);
+            chai.expect(() => app.set('history cache size', -1)).to.throw(TypeError);
+        });
+    });
+
+    describe('scroll restoration', () => {
+        let app, history;
+
+        beforeEach(() => {
+            app = frontexpress();
+            history = new frontexpress.MemoryHistory('/');
+            app.set('routing mode', history);
+            app.set('scroll restoration', true);
+            app.listen();
+        });
+
+        it('disabled by default', () => {
+            const app = frontexpress();
+            const history = new frontexpress.MemoryHistory('/');
+            app.set('routing mode', history);
+            app.listen();
+            history.scrollTo({x: 0, y: 500});
+            app.navigate('/route1');
+            assert.deepEqual(history.scrollPosition(), {x: 0, y: 500});
+        });
+
+        it('records and restores scroll positions', () => {
+            history.scrollTo({x: 0, y: 100});
+            app.navigate('/route1');
+            assert.deepEqual(history.scrollPosition(), {x: 0, y: 0});
+
+            history.scrollTo({x: 0, y: 500});
+            app.navigate('/route2#comments');
+            assert.deepEqual(history.scrollPosition(), {anchor: 'comments'});
+
+            history.scrollTo({x: 0, y: 800});
+            app.back();
+            assert.deepEqual(history.scrollPosition(), {x: 0, y: 500});
+
+            app.forward();
+            assert.deepEqual(history.scrollPosition(), {x: 0, y: 800});
+
+            app.go(-2);
+            assert.deepEqual(history.scrollPosition(), {x: 0, y: 100});
+        });
+
+        it('restores scroll position after refetch', () => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: ''});
+            });
+            app.set('http requester', requester);
+            app.set('history restore strategy', 'refetch');
+
+            app.httpGet({uri: '/api/route1', history: {uri: '/route1'}}, () => {});
+            history.scrollTo({x: 10, y: 500});
+            app.navigate('/route2');
+            app.back();
+            assert(requester.fetch.calledTwice);
+            assert.deepEqual(history.scrollPosition(), {x: 10, y: 500});
+        });
+
+        it('middleware override', () => {
+            class StayMiddleware extends frontexpress.Middleware {
+                scroll() {
+                    return false;
+                }
+            }
+            class BottomMiddleware extends frontexpress.Middleware {
+                scroll(request, response, position) {
+                    assert.deepEqual(position, {x: 0, y: 0});
+                    return {x: 0, y: 9999};
+                }
+            }
+            app.get('/route1', new StayMiddleware());
+            app.get('/route2', new frontexpress.Middleware());
+            app.get('/route2', new BottomMiddleware());
+
+            history.scrollTo({x: 0, y: 100});
+            app.navigate('/route1');
+            assert.deepEqual(history.scrollPosition(), {x: 0, y: 100});
+
+            app.navigate('/route2');
+            assert.deepEqual(history.scrollPosition(), {x: 0, y: 9999});
+        });
+
+        it('bad scroll restoration setting', () => {
+            chai.expect(() => app.set('scroll restoration', 'yes')).to.throw(TypeError);
+        });
+    });
+
+    describe('navigation guards', () => {
+        let app, history, admin, spy_entered, spy_exited;
+
+        class GuardMiddleware extends MyMiddleware {
+            constructor(guard) {
+                super();
+                this.guard = guard;
+            }
+            canEnter(request) {
+                return this.guard(request);
+            }
+        }
+
+        beforeEach(() => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: ''});
+            });
+
+            app = frontexpress();
+            history = new frontexpress.MemoryHistory('/');
+            app.set('routing mode', history);
+            app.set('http requester', requester);
+
+            const home = new MyMiddleware();
+            spy_exited = sinon.spy(home, 'exited');
+            app.get('/', home);
+            app.listen();
+
+            admin = new GuardMiddleware(() => true);
+            spy_entered = sinon.spy(admin, 'entered');
+            app.get('/admin', admin);
+        });
+
+        it('let the navigation go on', () => {
+            const spy_guard = sinon.spy(admin, 'canEnter');
+            app.httpGet({uri: '/admin', history: {uri: '/admin'}}, () => {});
+            assert(spy_guard.calledOnce);
+            assert(spy_guard.firstCall.args[0].uri === '/admin');
+            assert(requester.fetch.calledOnce);
+        });
+
+        it('cancel', () => {
+            admin.guard = () => false;
+            const spy_resolve = sinon.spy();
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/admin', history: {uri: '/admin'}}, spy_resolve, spy_reject);
+
+            assert(requester.fetch.callCount === 0);
+            assert(spy_exited.callCount === 0);
+            assert(spy_entered.callCount === 0);
+            assert(history.entries.length === 1);
+            assert(spy_resolve.callCount === 0);
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].cancelled);
+            assert(spy_reject.firstCall.args[1].errors === 'navigation cancelled');
+        });
+
+        it('redirect', () => {
+            admin.guard = () => '/login';
+            const login = new MyMiddleware();
+            const spy_updated = sinon.spy(login, 'updated');
+            app.get('/login', login);
+
+            const spy_resolve = sinon.spy();
+            app.httpGet({uri: '/admin', history: {uri: '/admin'}}, spy_resolve);
+
+            assert(requester.fetch.calledOnce);
+            assert(requester.fetch.firstCall.args[0].uri === '/login');
+            assert(requester.fetch.firstCall.args[0].method === 'GET');
+            assert(spy_entered.callCount === 0);
+            assert(spy_updated.calledOnce);
+            assert(spy_resolve.firstCall.args[0].uri === '/login');
+            assert(history.location() === '/login');
+        });
+
+        it('redirect with a request object', () => {
+            admin.guard = () => ({uri: '/api/login', history: {uri: '/login', title: 'login'}});
+            app.httpGet({uri: '/admin', history: {uri: '/admin'}}, () => {});
+
+            assert(requester.fetch.calledOnce);
+            assert(requester.fetch.firstCall.args[0].uri === '/api/login');
+            assert(history.location() === '/login');
+            assert(history.entries[1].title === 'login');
+
+            // client-side navigation is redirected without http request
+            app.navigate('/admin');
+            assert(requester.fetch.calledOnce);
+            assert(history.entries.length === 3);
+            assert(history.location() === '/login');
+        });
+
+        it('too many redirects', () => {
+            admin.guard = () => '/admin';
+            const spy_reject = sinon.spy();
+            app.httpGet('/admin', () => {}, spy_reject);
+
+            assert(requester.fetch.callCount === 0);
+            assert(spy_reject.calledOnce);
+            assert(spy_reject.firstCall.args[1].errors === 'navigation redirected too many times');
+        });
+
+        it('client-side navigation', (done) => {
+            admin.guard = () => false;
+            app.navigate('/admin')
+                .then(({response}) => {
+                    assert(response.cancelled);
+                    assert(response.errors === 'navigation cancelled');
+                    assert(history.location() === '/');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('client-side navigation cancelled without catch', (done) => {
+            const onUnhandledRejection = sinon.spy();
+            process.on('unhandledRejection', onUnhandledRejection);
+            admin.guard = () => false;
+            app.navigate('/admin');
+            setTimeout(() => {
+                process.removeListener('unhandledRejection', onUnhandledRejection);
+                assert(onUnhandledRejection.callCount === 0);
+                done();
+            }, 10);
+        });
+
+        it('async guard', (done) => {
+            admin.guard = () => Promise.resolve(true);
+            app.httpGet({uri: '/admin', history: {uri: '/admin'}}).then(({request}) => {
+                assert(request.uri === '/admin');
+                assert(spy_entered.calledOnce);
+                assert(history.location() === '/admin');
+                done();
+            }).catch(done);
+            assert(requester.fetch.callCount === 0);
+        });
+
+        it('async guard rejected', (done) => {
+            admin.guard = () => Promise.reject(new Error('forbidden'));
+            app.httpGet('/admin').then(() => done('should be cancelled')).catch(({response}) => {
+                assert(response.cancelled);
+                assert(requester.fetch.callCount === 0);
+                done();
+            }).catch(done);
+        });
+
+        it('guard throwing an error', (done) => {
+            admin.guard = () => {
+                throw new Error('forbidden');
+            };
+            const spy_reject = sinon.spy();
+            chai.expect(() => app.httpGet('/admin', () => {}, spy_reject)).to.not.throw();
+            assert(spy_reject.firstCall.args[1].cancelled);
+            assert(requester.fetch.callCount === 0);
+
+            app.httpGet('/admin').then(() => done('should be cancelled')).catch(({response}) => {
+                assert(response.cancelled);
+                done();
+            }).catch(done);
+        });
+
+        it('async redirect aborted', (done) => {
+            admin.guard = () => Promise.resolve('/login');
+            const pending = app.httpGet({uri: '/admin', history: {uri: '/admin'}});
+            pending.then(() => done('should be aborted')).catch(({response}) => {
+                assert(response.aborted);
+                assert(requester.fetch.callCount === 0);
+                assert(history.location() === '/');
+                done();
+            }).catch(done);
+            pending.abort();
+        });
+
+        it('restored entries are not guarded', () => {
+            app.httpGet({uri: '/admin', history: {uri: '/admin'}}, () => {});
+            app.navigate('/');
+            app.set('history restore strategy', 'refetch');
+            const spy_guard = sinon.spy(admin, 'canEnter');
+            app.back();
+            assert(requester.fetch.calledTwice);
+            assert(spy_guard.callCount === 0);
+        });
+    });
+
+    describe('leave guards', () => {
+        let app, history, form, spy_guard, spy_exited;
+
+        beforeEach(() => {
+            requester = new Requester();
+            sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+                resolve(request, {status: 200, statusText: 'OK', responseText: ''});
+            });
+
+            app = frontexpress();
+            history = new frontexpress.MemoryHistory('/');
+            app.set('routing mode', history);
+            app.set('http requester', requester);
+
+            form = new MyMiddleware();
+            form.dirty = false;
+            form.canExit = () => !form.dirty;
+            spy_guard = sinon.spy(form, 'canExit');
+            spy_exited = sinon.spy(form, 'exited');
+            app.get('/', new MyMiddleware());
+            app.get('/form', form);
+            app.get('/other', new MyMiddleware());
+            app.listen();
+        });
+
+        it('let the navigation go on', () => {
+            app.navigate('/form');
+            assert(spy_guard.callCount === 0);
+
+            app.httpGet({uri: '/other', history: {uri: '/other'}}, () => {});
+            assert(spy_guard.calledOnce);
+            assert(spy_guard.firstCall.args[0].uri === '/form');
+            assert(spy_guard.firstCall.args[1].uri === '/other');
+            assert(spy_exited.calledOnce);
+            assert(history.location() === '/other');
+        });
+
+        it('block a navigation', () => {
+            app.navigate('/form');
+            form.dirty = true;
+
+            const spy_reject = sinon.spy();
+            app.httpGet({uri: '/other', history: {uri: '/other'}}, () => {}, spy_reject);
+            assert(requester.fetch.callCount === 0);
+            assert(spy_exited.callCount === 0);
+            assert(history.location() === '/form');
+            assert(spy_reject.firstCall.args[1].cancelled);
+            assert(spy_reject.firstCall.args[1].errors === 'navigation cancelled');
+        });
+
+        it('requests without history are not guarded', () => {
+            app.navigate('/form');
+            form.dirty = true;
+
+            app.httpGet('/other', () => {});
+            assert(spy_guard.callCount === 0);
+            assert(requester.fetch.calledOnce);
+        });
+
+        it('block a client-side navigation asynchronously', (done) => {
+            app.navigate('/form');
+            form.canExit = () => Promise.resolve(false);
+
+            app.navigate('/other')
+                .then(({response}) => {
+                    assert(response.cancelled);
+                    assert(history.location() === '/form');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('block a move in the history', () => {
+            app.navigate('/form');
+            app.navigate('/other');
+            app.back();
+            assert(history.location() === '/form');
+            assert(spy_guard.calledOnce);
+            assert(spy_guard.firstCall.args[1].uri === '/other');
+
+            form.dirty = true;
+            app.back();
+            assert(spy_guard.calledTwice);
+            assert(spy_guard.secondCall.args[1].uri === '/');
+            assert(spy_exited.calledOnce);
+            // the entry left is restored
+            assert(history.location() === '/form');
+            assert(app.history.index === 1);
+
+            form.dirty = false;
+            app.back();
+            assert(history.location() === '/');
+            assert(app.history.index === 0);
+            assert(spy_exited.calledTwice);
+        });
+
+        it('block a move in the history asynchronously', (done) => {
+            app.navigate('/form');
+            app.navigate('/other');
+            app.back();
+            form.canExit = () => Promise.resolve(false);
+
+            app.go(1);
+            assert(history.location() === '/other');
+            setTimeout(() => {
+                assert(history.location() === '/form');
+                assert(app.history.index === 1);
+                done();
+            }, 0);
+        });
+
+        it('leave guard throwing an error', () => {
+            app.navigate('/form');
+            form.canExit = () => {
+                throw new Error('failed');
+            };
+
+            app.navigate('/other');
+            assert(history.location() === '/form');
+
+            app.back();
+            assert(history.location() === '/form');
+            assert(app.history.index === 1);
+            assert(spy_exited.callCount === 0);
+        });
+    });
+
+    describe('navigate method', () => {
+        beforeEach(() => {
+            global.window = eventTarget({
+                location: {
+                    pathname: '/',
+                    search: ''
+                },
+                history: {
+                    pushState: sinon.spy(),
+                    replaceState: sinon.spy()
+                }
+            });
+            requester = new Requester();
+            sinon.stub(requester, 'fetch');
+        });
+
+        it('runs middleware lifecycle without http request', (done) => {
+            const app = frontexpress();
+            app.set('http requester', requester);
+            app.set('http GET response transformer', () => {
+                throw new Error('no transformer on client-side navigation');
+            });
+
+            const m = new MyMiddleware();
+            const spy_exited = sinon.spy(m, 'exited');
+            const spy_entered = sinon.spy(m, 'entered');
+            const spy_updated = sinon.spy(m, 'updated');
+            const spy_function = sinon.spy();
+            app.get('/route1', m);
+            app.get('/route2', m);
+            app.get('/route2', (req, res, next) => {
+                spy_function(req, res);
+            });
+
+            app.navigate('/route1');
+            app.navigate('/route2', {state: {foo: 'bar'}, title: 'route 2'}).then(({request, response}) => {
+                assert(requester.fetch.callCount === 0);
+                assert(spy_exited.calledOnce);
+                assert(spy_entered.calledTwice);
+                assert(spy_updated.calledTwice);
+                assert(spy_function.calledOnce);
+                assert(request.method === 'GET');
+                assert(request.uri === '/route2');
+                assert(response.status === 200);
+                assert(spy_function.firstCall.args[1].status === 200);
+
+                assert(window.history.pushState.calledTwice);
+                const [state, title, uri] = window.history.pushState.secondCall.args;
+                assert(state.request.history.state.foo === 'bar');
+                assert(title === 'route 2');
+                assert(uri === '/route2');
+                done();
+            }).catch(done);
+        });
+
+        it('replaces history entry', (done) => {
+            const app = frontexpress();
+            app.navigate('/route1', {replace: true}).then(() => {
+                assert(window.history.pushState.callCount === 0);
+                assert(window.history.replaceState.calledOnce);
+                assert(window.history.replaceState.firstCall.args[2] === '/route1');
+                done();
+            }).catch(done);
+        });
     });
 
     describe('plugin management', () => {
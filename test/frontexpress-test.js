@@ -5,6 +5,8 @@ import frontexpress from '../lib/frontexpress';
 import Application from '../lib/application';
 import Router from '../lib/router';
 import Middleware from '../lib/middleware';
+import Requester, {FetchRequester, httpJsonTransformer} from '../lib/requester';
+import {MemoryHistory} from '../lib/history';
 
 describe('frontexpress', () => {
     it('test Router class exposed', () => {
@@ -25,6 +27,20 @@ describe('frontexpress', () => {
         assert(m1 !== m2);
     });
 
+    it('test Requester classes exposed', () => {
+        assert(frontexpress.Requester === Requester);
+        assert(frontexpress.FetchRequester === FetchRequester);
+        assert(new frontexpress.FetchRequester() instanceof FetchRequester);
+    });
+
+    it('test MemoryHistory class exposed', () => {
+        assert(frontexpress.MemoryHistory === MemoryHistory);
+    });
+
+    it('test built-in transformers exposed', () => {
+        assert(frontexpress.httpJsonTransformer === httpJsonTransformer);
+    });
+
     it('test Application class exposed', () => {
         assert(frontexpress);
         assert(frontexpress() instanceof Application);
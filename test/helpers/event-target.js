@@ -0,0 +1,50 @@
+/**
+ * EventTarget stub keeping the listener of each event type in the on<type>
+ * property, so the tests can trigger the events by calling the property.
+ *
+ * @param {Object} object
+ * @return {Object} object with addEventListener and removeEventListener
+ */
+
+export function eventTarget(object) {
+    return Object.assign(object, {
+        addEventListener(type, listener) {
+            this[`on${type}`] = listener;
+        },
+        removeEventListener(type, listener) {
+            if (this[`on${type}`] === listener) {
+                delete this[`on${type}`];
+            }
+        }
+    });
+}
+
+
+/**
+ * EventTarget stub keeping all the listeners in the _listeners_ array, shared
+ * by several targets to count the listeners left.
+ *
+ * @param {Object} object
+ * @param {Array} listeners of `{target, type, listener}`
+ * @return {Object} object with addEventListener, removeEventListener and dispatchEvent
+ */
+
+export function multiEventTarget(object, listeners) {
+    return Object.assign(object, {
+        addEventListener(type, listener) {
+            listeners.push({target: this, type, listener});
+        },
+        removeEventListener(type, listener) {
+            for (let index = listeners.length - 1; index >= 0; index--) {
+                const registered = listeners[index];
+                if (registered.target === this && registered.type === type && registered.listener === listener) {
+                    listeners.splice(index, 1);
+                }
+            }
+        },
+        dispatchEvent(event) {
+            listeners.filter(registered => registered.target === this && registered.type === event.type)
+                .forEach(registered => registered.listener(event));
+        }
+    });
+}
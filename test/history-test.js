@@ -0,0 +1,213 @@
+/*eslint-env mocha*/
+/*global global*/
+import {assert} from 'chai';
+import sinon from 'sinon';
+import {BrowserHistory, HashHistory, MemoryHistory} from '../lib/history';
+import {eventTarget} from './helpers/event-target';
+
+describe('History', () => {
+    beforeEach(() => {
+        global.window = eventTarget({
+            location: {
+                pathname: '/index.html',
+                search: '?a=b',
+                hash: ''
+            },
+            history: {
+                state: null,
+                pushState: sinon.spy(),
+                replaceState: sinon.spy()
+            }
+        });
+    });
+
+    describe('BrowserHistory', () => {
+        it('location', () => {
+            assert.strictEqual(new BrowserHistory().location(), '/index.html?a=b');
+        });
+
+        it('push and replace', () => {
+            const history = new BrowserHistory();
+            history.push({foo: 'bar'}, 'title', '/route1');
+            history.replace({foo: 'baz'}, 'title', '/route2');
+            assert(window.history.pushState.calledWith({foo: 'bar'}, 'title', '/route1'));
+            assert(window.history.replaceState.calledWith({foo: 'baz'}, 'title', '/route2'));
+        });
+
+        it('listen', () => {
+            const callback = sinon.spy();
+            new BrowserHistory().listen(callback);
+            window.onpopstate({state: {foo: 'bar'}});
+            assert(callback.calledWith({foo: 'bar'}));
+        });
+
+        it('ready and unload', () => {
+            global.document = eventTarget({readyState: 'loading'});
+            const history = new BrowserHistory();
+            const spy_ready = sinon.spy();
+            const spy_unload = sinon.spy();
+            history.ready(spy_ready);
+            history.unload(spy_unload);
+            assert(spy_ready.callCount === 0);
+            document.readyState = 'interactive';
+            document.onreadystatechange();
+            assert(spy_ready.calledOnce);
+            window.onbeforeunload();
+            assert(spy_unload.calledOnce);
+        });
+
+        it('unload asks for confirmation', () => {
+            const history = new BrowserHistory();
+            history.unload(() => false);
+            const event = {preventDefault: sinon.spy()};
+            window.onbeforeunload(event);
+            assert(event.preventDefault.calledOnce);
+            assert(event.returnValue === '');
+        });
+
+        it('stop', () => {
+            global.document = eventTarget({readyState: 'loading'});
+            const history = new BrowserHistory();
+            history.listen(() => {});
+            history.listen(() => {});
+            history.ready(() => {});
+            history.unload(() => {});
+            assert(history.listeners.length === 3);
+            history.stop();
+            assert(history.listeners.length === 0);
+            assert(window.onpopstate === undefined);
+            assert(window.onbeforeunload === undefined);
+            assert(document.onreadystatechange === undefined);
+        });
+
+        it('go', () => {
+            window.history.go = sinon.spy();
+            new BrowserHistory().go(-2);
+            assert(window.history.go.calledWith(-2));
+        });
+
+        it('state', () => {
+            window.history.state = {position: 3};
+            assert.deepEqual(new BrowserHistory().state(), {position: 3});
+        });
+
+        it('scroll', () => {
+            const element = {scrollIntoView: sinon.spy()};
+            global.document = eventTarget({getElementById: id => id === 'comments' ? element : null});
+            window.scrollTo = sinon.spy();
+            window.pageXOffset = 10;
+            window.pageYOffset = 500;
+            const history = new BrowserHistory();
+
+            history.manageScroll();
+            assert(window.history.scrollRestoration === undefined);
+            window.history.scrollRestoration = 'auto';
+            history.manageScroll();
+            assert(window.history.scrollRestoration === 'manual');
+
+            assert.deepEqual(history.scrollPosition(), {x: 10, y: 500});
+
+            history.scrollTo({x: 10, y: 200});
+            assert(window.scrollTo.calledWith(10, 200));
+            history.scrollTo({anchor: 'comments'});
+            assert(element.scrollIntoView.calledOnce);
+            history.scrollTo({anchor: 'unknown'});
+            assert(window.scrollTo.lastCall.calledWith(0, 0));
+        });
+    });
+
+    describe('HashHistory', () => {
+        it('location', () => {
+            const history = new HashHistory();
+            assert.strictEqual(history.location(), '/');
+            window.location.hash = '#/users/42?tab=2';
+            assert.strictEqual(history.location(), '/users/42?tab=2');
+        });
+
+        it('push and replace', () => {
+            const history = new HashHistory();
+            history.push({foo: 'bar'}, 'title', '/route1');
+            history.replace({foo: 'baz'}, 'title', '/route2');
+            assert(window.history.pushState.calledWith({foo: 'bar'}, 'title', '#/route1'));
+            assert(window.history.replaceState.calledWith({foo: 'baz'}, 'title', '#/route2'));
+        });
+
+        it('listen', () => {
+            const callback = sinon.spy();
+            new HashHistory().listen(callback);
+            window.history.state = {foo: 'bar'};
+            window.onhashchange();
+            assert(callback.calledWith({foo: 'bar'}));
+        });
+    });
+
+    describe('MemoryHistory', () => {
+        it('location', () => {
+            assert.strictEqual(new MemoryHistory().location(), '/');
+            assert.strictEqual(new MemoryHistory('/users').location(), '/users');
+        });
+
+        it('push and replace', () => {
+            const history = new MemoryHistory();
+            history.push({page: 1}, 'route 1', '/route1');
+            history.push({page: 2}, 'route 2', '/route2');
+            history.replace({page: 3}, 'route 3', '/route3');
+            assert.strictEqual(history.index, 2);
+            assert.deepEqual(history.entries.map(entry => entry.uri), ['/', '/route1', '/route3']);
+            assert.deepEqual(history.entries[2], {state: {page: 3}, title: 'route 3', uri: '/route3'});
+            assert.deepEqual(history.state(), {page: 3});
+            assert.strictEqual(new MemoryHistory().state(), null);
+        });
+
+        it('back, forward and go', () => {
+            const history = new MemoryHistory();
+            const callback = sinon.spy();
+            history.listen(callback);
+            history.push({page: 1}, 'route 1', '/route1');
+            history.push({page: 2}, 'route 2', '/route2');
+
+            history.back();
+            assert.strictEqual(history.location(), '/route1');
+            assert(callback.lastCall.calledWith({page: 1}));
+
+            history.go(-1);
+            assert.strictEqual(history.location(), '/');
+            assert(callback.lastCall.calledWith(null));
+
+            history.forward();
+            history.forward();
+            assert.strictEqual(history.location(), '/route2');
+            assert(callback.callCount === 4);
+
+            // out of the entries
+            history.forward();
+            history.go(-3);
+            history.go(0);
+            assert.strictEqual(history.location(), '/route2');
+            assert(callback.callCount === 4);
+
+            // pushing drops the following entries
+            history.go(-2);
+            history.push({page: 3}, 'route 3', '/route3');
+            assert.deepEqual(history.entries.map(entry => entry.uri), ['/', '/route3']);
+        });
+
+        it('ready and unload', () => {
+            const history = new MemoryHistory();
+            const spy_ready = sinon.spy();
+            history.ready(spy_ready);
+            history.unload(() => {});
+            assert(spy_ready.calledOnce);
+        });
+
+        it('stop', () => {
+            const history = new MemoryHistory();
+            const callback = sinon.spy();
+            history.listen(callback);
+            history.push(null, '', '/route1');
+            history.stop();
+            history.back();
+            assert(callback.callCount === 0);
+        });
+    });
+});
@@ -0,0 +1,204 @@
+/*eslint-env mocha*/
+/*global global*/
+import {assert} from 'chai';
+import sinon from 'sinon';
+import frontexpress from '../lib/frontexpress';
+import Requester from '../lib/requester';
+
+describe('Interceptor', () => {
+    let app, requester, listeners, NativeFormData;
+
+    function element(tagName, attributes={}, parentNode) {
+        return {
+            tagName,
+            parentNode,
+            fields: [],
+            getAttribute(name) {
+                return attributes[name] !== undefined ? attributes[name] : null;
+            },
+            hasAttribute(name) {
+                return attributes[name] !== undefined;
+            }
+        };
+    }
+
+    function click(target, options={}) {
+        const event = Object.assign({target, button: 0, preventDefault: sinon.spy()}, options);
+        listeners.click(event);
+        return event;
+    }
+
+    function submit(target, options={}) {
+        const event = Object.assign({target, preventDefault: sinon.spy()}, options);
+        listeners.submit(event);
+        return event;
+    }
+
+    beforeEach(() => {
+        listeners = {};
+        global.document = {
+            addEventListener(type, listener) {
+                listeners[type] = listener;
+            },
+            removeEventListener(type, listener) {
+                if (listeners[type] === listener) {
+                    delete listeners[type];
+                }
+            }
+        };
+        global.window = {
+            location: {
+                href: 'http://localhost:8080/page1',
+                origin: 'http://localhost:8080',
+                pathname: '/page1',
+                search: ''
+            },
+            history: {
+                pushState: sinon.spy()
+            },
+            addEventListener() {},
+            removeEventListener() {}
+        };
+
+        NativeFormData = global.FormData;
+        global.FormData = class {
+            constructor(form) {
+                this.fields = form.fields.slice();
+            }
+            append(name, value) {
+                this.fields.push([name, value]);
+            }
+            forEach(callback) {
+                this.fields.forEach(([name, value]) => callback(value, name));
+            }
+        };
+
+        requester = new Requester();
+        sinon.stub(requester, 'fetch', (request, resolve, reject) => {
+            resolve(request, {status: 200, statusText: 'OK', responseText: ''});
+        });
+
+        app = frontexpress();
+        app.set('http requester', requester);
+        app.set('intercept navigation', true);
+        app.listen();
+    });
+
+    afterEach(() => {
+        global.FormData = NativeFormData;
+    });
+
+    it('not enabled by default', () => {
+        listeners = {};
+        const app = frontexpress();
+        app.listen();
+        assert(listeners.click === undefined);
+        assert(listeners.submit === undefined);
+    });
+
+    it('stop', () => {
+        app.stop();
+        assert(listeners.click === undefined);
+        assert(listeners.submit === undefined);
+    });
+
+    describe('links', () => {
+        it('same-origin link', () => {
+            const event = click(element('A', {href: '/page2?a=b'}));
+            assert(event.preventDefault.calledOnce);
+            assert(requester.fetch.calledOnce);
+            const request = requester.fetch.firstCall.args[0];
+            assert(request.method === 'GET');
+            assert(request.uri === '/page2?a=b');
+            assert(request.history.uri === '/page2?a=b');
+            assert(window.history.pushState.calledOnce);
+        });
+
+        it('click on an element inside a link', () => {
+            const link = element('A', {href: 'http://localhost:8080/page2'});
+            const event = click(element('SPAN', {}, link));
+            assert(event.preventDefault.calledOnce);
+            assert(requester.fetch.firstCall.args[0].uri === '/page2');
+        });
+
+        it('links left to the browser', () => {
+            const events = [
+                click(element('DIV')),
+                click(element('A')),
+                click(element('A', {href: 'http://external.com/page2'})),
+                click(element('A', {href: '/page2', target: '_blank'})),
+                click(element('A', {href: '/page2', download: ''})),
+                click(element('A', {href: '/page2', rel: 'external'})),
+                click(element('A', {href: '/page2', 'data-frontexpress-ignore': ''})),
+                click(element('A', {href: '#anchor'})),
+                click(element('A', {href: 'mailto:camel@nuageprive.fr'})),
+                click(element('A', {href: 'http://['})),
+                click(element('A', {href: '/page2'}), {ctrlKey: true}),
+                click(element('A', {href: '/page2'}), {metaKey: true}),
+                click(element('A', {href: '/page2'}), {shiftKey: true}),
+                click(element('A', {href: '/page2'}), {altKey: true}),
+                click(element('A', {href: '/page2'}), {button: 1}),
+                click(element('A', {href: '/page2'}), {defaultPrevented: true})
+            ];
+            events.forEach(event => assert(event.preventDefault.callCount === 0));
+            assert(requester.fetch.callCount === 0);
+        });
+
+        it('link with explicit self target', () => {
+            const event = click(element('A', {href: '/page2', target: '_self'}));
+            assert(event.preventDefault.calledOnce);
+            assert(requester.fetch.calledOnce);
+        });
+    });
+
+    describe('forms', () => {
+        it('GET form', () => {
+            const form = element('FORM', {action: '/search?x=y'});
+            form.fields = [['q', 'câmél'], ['page', '2']];
+            const event = submit(form);
+            assert(event.preventDefault.calledOnce);
+            const request = requester.fetch.firstCall.args[0];
+            assert(request.method === 'GET');
+            assert(request.uri === '/search?q=c%C3%A2m%C3%A9l&page=2');
+            assert(request.history.uri === '/search?q=c%C3%A2m%C3%A9l&page=2');
+        });
+
+        it('POST form', () => {
+            const form = element('FORM', {action: '/login', method: 'post'});
+            form.fields = [['user', 'camel'], ['password', 'a&b']];
+            const event = submit(form, {submitter: {name: 'remember', value: 'on'}});
+            assert(event.preventDefault.calledOnce);
+            const request = requester.fetch.firstCall.args[0];
+            assert(request.method === 'POST');
+            assert(request.uri === '/login');
+            assert(request.data === 'user=camel&password=a%26b&remember=on');
+            assert(request.headers['Content-Type'] === 'application/x-www-form-urlencoded');
+            assert(request.history.uri === '/login');
+        });
+
+        it('POST multipart form', () => {
+            const form = element('FORM', {method: 'POST', enctype: 'multipart/form-data'});
+            form.fields = [['file', {name: 'file.txt'}]];
+            submit(form);
+            const request = requester.fetch.firstCall.args[0];
+            assert(request.method === 'POST');
+            assert(request.uri === '/page1');
+            assert(request.data instanceof FormData);
+            assert(request.headers === undefined);
+        });
+
+        it('forms left to the browser', () => {
+            const events = [
+                submit(element('DIV')),
+                submit(element('FORM', {action: 'http://external.com/search'})),
+                submit(element('FORM', {action: 'http://['})),
+                submit(element('FORM', {method: 'dialog'})),
+                submit(element('FORM', {target: '_blank'})),
+                submit(element('FORM', {'data-frontexpress-ignore': ''})),
+                submit(element('FORM'), {defaultPrevented: true})
+            ];
+            events.forEach(event => assert(event.preventDefault.callCount === 0));
+            assert(requester.fetch.callCount === 0);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 /*eslint-env mocha*/
-import {assert} from 'chai';
-import Middleware from '../lib/middleware';
+import chai, {assert} from 'chai';
+import sinon from 'sinon';
+import Middleware, {errorHandler, isMiddleware} from '../lib/middleware';
 
 describe('Middleware', () => {
     it('check exposed methods', () => {
@@ -9,12 +10,45 @@ describe('Middleware', () => {
         assert(middleware.exited);
         assert(middleware.updated);
         assert(middleware.failed);
+        assert(middleware.aborted);
+        assert(middleware.retrying);
+        assert(middleware.scroll);
+        assert(middleware.canEnter);
+        assert(middleware.canExit);
         assert(middleware.next);
 
         middleware.entered();
         middleware.exited();
         middleware.updated();
         middleware.failed();
+        middleware.aborted();
+        middleware.retrying();
+        assert(middleware.scroll() === undefined);
+        assert(middleware.canEnter() === true);
+        assert(middleware.canExit() === true);
         assert(middleware.next());
     });
-});
\ No newline at end of file
+
+    it('middleware values', () => {
+        assert(isMiddleware(new Middleware()));
+        assert(isMiddleware((req, res, next) => {}));
+        assert(isMiddleware({entered() {}, exited() {}}));
+        assert(isMiddleware({canEnter() {}}));
+        assert(isMiddleware({canExit() {}}));
+        assert(isMiddleware({scroll() {}}));
+        assert(!isMiddleware({updated: 'not a function'}));
+        assert(!isMiddleware({plugin() {}}));
+        assert(!isMiddleware('/route1'));
+        assert(!isMiddleware(null));
+    });
+
+    it('default error handler', () => {
+        const clock = sinon.useFakeTimers();
+        try {
+            errorHandler(new Error('failed'), {}, {});
+            chai.expect(() => clock.tick(1)).to.throw('failed');
+        } finally {
+            clock.restore();
+        }
+    });
+});
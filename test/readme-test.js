@@ -3,19 +3,22 @@ import chai, {assert} from 'chai';
 import sinon from 'sinon';
 import frontexpress from '../lib/frontexpress';
 import Requester from '../lib/requester';
+import {eventTarget} from './helpers/event-target';
 
 describe('Test sample from README', () => {
     let window, requester;
 
     beforeEach(() => {
-        global.document = {};
-        global.window = {
+        global.document = eventTarget({});
+        global.window = eventTarget({
             location: {
                 pathname: '/',
                 search: ''
             },
-            addEventListener(eventType, callback) {}
-        };
+            history: {
+                state: null
+            }
+        });
         requester = new Requester();
         sinon.stub(requester, 'fetch', ({uri, method, headers, data}, resolve, reject) => {
             resolve(
@@ -2,15 +2,18 @@
 /*global global*/
 import chai, {assert} from 'chai';
 import sinon from 'sinon';
-import Requester from '../lib/requester';
+import Requester, {FetchRequester} from '../lib/requester';
 
 describe('Requester', () => {
-    function xHttpWillRespond(xhttp, readyState, status, statusText, responseText) {
+    function xHttpWillRespond(xhttp, readyState, status, statusText, responseText, responseHeaders='', response) {
         const stub_send = sinon.stub(xhttp, 'send', function() {
             this.readyState = readyState;
             this.status = status;
             this.statusText = statusText;
             this.responseText = responseText;
+            this.responseHeaders = responseHeaders;
+            this.responseURL = '/final/route1';
+            this.response = response;
             this.onreadystatechange();
         });
 
@@ -47,7 +50,10 @@ describe('Requester', () => {
         xhttp = {
             setRequestHeader(){},
             open(){},
-            send(){}
+            send(){},
+            getAllResponseHeaders() {
+                return this.responseHeaders;
+            }
         };
         global.XMLHttpRequest = () => {
             return xhttp;
@@ -59,7 +65,7 @@ describe('Requester', () => {
         it('with data', (done) => {
             const requester = new Requester();
 
-            xHttpWillRespond(xhttp, 4, 200, '', '<p>content!</p>');
+            xHttpWillRespond(xhttp, 4, 200, 'OK', '<p>content!</p>');
 
             requester.fetch({method: 'GET', uri:'/route1', data:{p1: 'a', p2: 'b', p3: 'c'}},
                 (request, response) => {
@@ -83,10 +89,18 @@ describe('Requester', () => {
                 });
         });
 
+        it('returns the XMLHttpRequest', () => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 200, 'OK', '<p>content!</p>');
+
+            assert(requester.fetch({method: 'GET', uri:'/route1'}, () => {}, () => {}) === xhttp);
+        });
+
         it('without data', (done) => {
             const requester = new Requester();
 
-            const {stub_open, stub_send} = xHttpWillRespond(xhttp, 4, 200, '', '<p>content!</p>');
+            const {stub_open, stub_send} = xHttpWillRespond(xhttp, 4, 200, 'OK', '<p>content!</p>');
 
             requester.fetch({method: 'GET', uri:'/route1'}, (request, response) => {
                 assert(stub_open.calledOnce);
@@ -116,7 +130,7 @@ describe('Requester', () => {
         it('with data', (done) => {
             const requester = new Requester();
 
-            const {stub_open, stub_send, stub_setRequestHeader} = xHttpWillRespond(xhttp, 4, 200, '', '<p>content!</p>');
+            const {stub_open, stub_send, stub_setRequestHeader} = xHttpWillRespond(xhttp, 4, 200, 'OK', '<p>content!</p>');
 
             requester.fetch({method: 'POST', uri:'/route1', headers:{'head1':'value1'}, data:{p1: 'a', p2: 'b', p3: 'c'}},
                 (request, response) => {
@@ -150,7 +164,7 @@ describe('Requester', () => {
         it('without data', (done) => {
             const requester = new Requester();
 
-            const {stub_open, stub_send, stub_setRequestHeader} = xHttpWillRespond(xhttp, 4, 200, '', '<p>content!</p>');
+            const {stub_open, stub_send, stub_setRequestHeader} = xHttpWillRespond(xhttp, 4, 200, 'OK', '<p>content!</p>');
 
             requester.fetch({method: 'POST', uri:'/route1'},
                 (request, response) => {
@@ -173,7 +187,7 @@ describe('Requester', () => {
         it('with custom headers', (done) => {
             const requester = new Requester();
 
-            const {stub_open, stub_send, stub_setRequestHeader} = xHttpWillRespond(xhttp, 4, 200, '', '<p>content!</p>');
+            const {stub_open, stub_send, stub_setRequestHeader} = xHttpWillRespond(xhttp, 4, 200, 'OK', '<p>content!</p>');
 
             requester.fetch({method: 'POST', uri:'/route1', headers: {'Accept-Charset': 'utf-8'}},
                 (request, response) => {
@@ -196,6 +210,161 @@ describe('Requester', () => {
         });
     });
 
+    describe('Response', () => {
+        it('with headers and responseURL', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 200, 'OK', '<p>content!</p>', 'Content-Type: text/html\r\nETag: "abc"\r\nLink: </route1?page=2>; rel="next"\r\n');
+
+            requester.fetch({method: 'GET', uri:'/route1'},
+                (request, response) => {
+                    assert.deepEqual(response.headers, {
+                        'content-type': 'text/html',
+                        'etag': '"abc"',
+                        'link': '</route1?page=2>; rel="next"'
+                    });
+                    assert(response.responseURL === '/final/route1');
+                    assert(response.body === '<p>content!</p>');
+                    done();
+                },
+                (request, response) => {
+                    done(response.errors);
+                });
+        });
+
+        it('with JSON content type', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 200, 'OK', '{"a": "b"}', 'Content-Type: application/json; charset=utf-8');
+
+            requester.fetch({method: 'GET', uri:'/route1'},
+                (request, response) => {
+                    assert(response.responseText === '{"a": "b"}');
+                    assert.deepEqual(response.body, {a: 'b'});
+                    done();
+                },
+                (request, response) => {
+                    done(response.errors);
+                });
+        });
+
+        it('with invalid JSON content', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 200, 'OK', 'not json', 'Content-Type: application/json');
+
+            requester.fetch({method: 'GET', uri:'/route1'},
+                (request, response) => {
+                    assert(response.body === 'not json');
+                    done();
+                },
+                (request, response) => {
+                    done(response.errors);
+                });
+        });
+
+        it('with responseType', (done) => {
+            const requester = new Requester();
+            const blob = {size: 3};
+
+            xHttpWillRespond(xhttp, 4, 200, 'OK', undefined, 'Content-Type: image/png', blob);
+
+            requester.fetch({method: 'GET', uri:'/route1', responseType: 'blob'},
+                (request, response) => {
+                    assert(xhttp.responseType === 'blob');
+                    assert(response.body === blob);
+                    assert(response.responseText === undefined);
+                    done();
+                },
+                (request, response) => {
+                    done(response.errors);
+                });
+        });
+
+        it('failed with headers', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 401, 'not authenticated', '', 'WWW-Authenticate: Basic');
+
+            requester.fetch({method: 'GET', uri:'/route1'}, null,
+                (request, response) => {
+                    assert(response.status === 401);
+                    assert(response.headers['www-authenticate'] === 'Basic');
+                    assert(response.responseURL === '/final/route1');
+                    done();
+                });
+        });
+    });
+
+    describe('HTTP success status', () => {
+        it('request returns 201', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 201, 'Created', '{"id": 1}');
+
+            requester.fetch({method: 'POST', uri:'/route1'},
+                (request, response) => {
+                    assert(response.status === 201);
+                    assert(response.statusText === 'Created');
+                    assert(response.responseText === '{"id": 1}');
+                    assert(response.errors === undefined);
+                    done();
+                },
+                (request, response) => {
+                    done(response.errors);
+                });
+        });
+
+        it('request returns 204', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 204, 'No Content', '');
+
+            requester.fetch({method: 'DELETE', uri:'/route1'},
+                (request, response) => {
+                    assert(response.status === 204);
+                    assert(response.statusText === 'No Content');
+                    done();
+                },
+                (request, response) => {
+                    done(response.errors);
+                });
+        });
+
+        it('request returns 304 with custom success status', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 304, 'Not Modified', '');
+
+            requester.fetch({method: 'GET', uri:'/route1'},
+                (request, response) => {
+                    assert(response.status === 304);
+                    done();
+                },
+                (request, response) => {
+                    done(response.errors);
+                },
+                {successStatus: status => status >= 200 && status < 400});
+        });
+
+        it('request returns 200 with custom success status', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 200, 'OK', '');
+
+            requester.fetch({method: 'GET', uri:'/route1'},
+                (request, response) => {
+                    done('should fail');
+                },
+                (request, response) => {
+                    assert(response.status === 200);
+                    assert(response.errors.length !== 0);
+                    done();
+                },
+                {successStatus: status => status === 201});
+        });
+    });
+
     describe('HTTP errors', () => {
         it('request returns no network', (done) => {
             const requester = new Requester();
@@ -230,7 +399,7 @@ describe('Requester', () => {
 
                     assert(response.status === 401);
                     assert(response.statusText === 'not authenticated');
-                    assert(response.responseText === undefined);
+                    assert(response.responseText === '');
                     assert(response.errorThrown === undefined);
                     assert(response.errors.length !== 0);
 
@@ -250,7 +419,7 @@ describe('Requester', () => {
 
                     assert(response.status === 404);
                     assert(response.statusText === 'page not found');
-                    assert(response.responseText === undefined);
+                    assert(response.responseText === '');
                     assert(response.errorThrown === undefined);
                     assert(response.errors.length !== 0);
 
@@ -270,7 +439,7 @@ describe('Requester', () => {
 
                     assert(response.status === 500);
                     assert(response.statusText === 'server error');
-                    assert(response.responseText === undefined);
+                    assert(response.responseText === '');
                     assert(response.errorThrown === undefined);
                     assert(response.errors.length !== 0);
 
@@ -290,7 +459,7 @@ describe('Requester', () => {
 
                     assert(response.status === 501);
                     assert(response.statusText === 'Not Implemented');
-                    assert(response.responseText === undefined);
+                    assert(response.responseText === '');
                     assert(response.errorThrown === undefined);
                     assert(response.errors.length !== 0);
 
@@ -298,6 +467,23 @@ describe('Requester', () => {
                 });
         });
 
+        it('request returns 422 with a JSON body', (done) => {
+            const requester = new Requester();
+
+            xHttpWillRespond(xhttp, 4, 422, 'Unprocessable Entity', '{"email": "invalid"}', 'Content-Type: application/problem+json');
+
+            requester.fetch({method: 'POST', uri:'/route1'}, null,
+                (request, response) => {
+                    assert(response.status === 422);
+                    assert(response.responseText === '{"email": "invalid"}');
+                    assert.deepEqual(response.body, {email: 'invalid'});
+                    assert(response.headers['content-type'] === 'application/problem+json');
+                    assert(response.errors.length !== 0);
+
+                    done();
+                });
+        });
+
         it('request returns syntax error', (done) => {
             const requester = new Requester();
 
@@ -391,3 +577,293 @@ describe('Requester', () => {
         // });
     });
 });
+
+describe('FetchRequester', () => {
+    function fetchWillRespond(status, statusText, responseText, responseHeaders={}) {
+        return sinon.spy(() => Promise.resolve({
+            status,
+            statusText,
+            url: '/final/route1',
+            headers: new Map(Object.keys(responseHeaders).map(name => [name, responseHeaders[name]])),
+            body: {},
+            text() {
+                return Promise.resolve(responseText);
+            },
+            arrayBuffer() {
+                return Promise.resolve(new ArrayBuffer(8));
+            }
+        }));
+    }
+
+    function fetchWillThrow(errorName) {
+        return sinon.spy(() => {
+            const e = new Error(errorName);
+            e.name = errorName;
+            return Promise.reject(e);
+        });
+    }
+
+    beforeEach(() => {
+        global.window = {};
+    });
+
+    it('GET request', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(200, 'OK', '<p>content!</p>');
+
+        requester.fetch({method: 'GET', uri: '/route1'},
+            (request, response) => {
+                assert(window.fetch.calledOnce);
+                assert(window.fetch.firstCall.args[0] === '/route1');
+                assert(window.fetch.firstCall.args[1].method === 'GET');
+
+                assert(request.method === 'GET');
+                assert(request.uri === '/route1');
+
+                assert(response.status === 200);
+                assert(response.statusText === 'OK');
+                assert(response.responseText === '<p>content!</p>');
+                assert(response.errorThrown === undefined);
+                assert(response.errors === undefined);
+
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('POST request with headers and data', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(200, 'OK', '');
+
+        requester.fetch({method: 'POST', uri: '/route1', headers: {'head1': 'value1'}, data: 'p1=a'},
+            (request, response) => {
+                const options = window.fetch.firstCall.args[1];
+                assert(options.method === 'POST');
+                assert(options.headers.head1 === 'value1');
+                assert(options.body === 'p1=a');
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('fetch options', (done) => {
+        const requester = new FetchRequester({credentials: 'include', mode: 'cors'});
+        window.fetch = fetchWillRespond(200, 'OK', '');
+
+        requester.fetch({method: 'GET', uri: '/route1', mode: 'same-origin', cache: 'no-store'},
+            (request, response) => {
+                const options = window.fetch.firstCall.args[1];
+                assert(options.credentials === 'include');
+                assert(options.mode === 'same-origin');
+                assert(options.cache === 'no-store');
+                assert(options.redirect === undefined);
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('response with headers, responseURL and JSON body', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(200, 'OK', '{"a": "b"}', {'Content-Type': 'application/json', 'ETag': '"abc"'});
+
+        requester.fetch({method: 'GET', uri: '/route1'},
+            (request, response) => {
+                assert.deepEqual(response.headers, {'content-type': 'application/json', 'etag': '"abc"'});
+                assert(response.responseURL === '/final/route1');
+                assert(response.responseText === '{"a": "b"}');
+                assert.deepEqual(response.body, {a: 'b'});
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('response with arraybuffer responseType', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(200, 'OK', '');
+
+        requester.fetch({method: 'GET', uri: '/route1', responseType: 'arraybuffer'},
+            (request, response) => {
+                assert(response.body instanceof ArrayBuffer);
+                assert(response.responseText === undefined);
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('response with json responseType', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(200, 'OK', '[1, 2]', {'Content-Type': 'text/plain'});
+
+        requester.fetch({method: 'GET', uri: '/route1', responseType: 'json'},
+            (request, response) => {
+                assert.deepEqual(response.body, [1, 2]);
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('stream response', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(200, 'OK', '');
+
+        requester.fetch({method: 'GET', uri: '/route1', responseType: 'stream'},
+            (request, response) => {
+                assert(response.status === 200);
+                assert(response.body);
+                assert(response.responseText === undefined);
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('abort request', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = sinon.spy((uri, {signal}) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                const e = new Error('AbortError');
+                e.name = 'AbortError';
+                reject(e);
+            });
+        }));
+
+        const controller = requester.fetch({method: 'GET', uri: '/route1'}, null,
+            (request, response) => {
+                assert(response.status === undefined);
+                assert(response.errorThrown.name === 'AbortError');
+                assert(response.errors.length !== 0);
+                done();
+            });
+        controller.abort();
+    });
+
+    it('request with its own signal', () => {
+        const requester = new FetchRequester();
+        const controller = new AbortController();
+        window.fetch = fetchWillRespond(200, 'OK', '');
+
+        const returnedController = requester.fetch({method: 'GET', uri: '/route1', signal: controller.signal}, () => {}, () => {});
+        const {signal} = window.fetch.firstCall.args[1];
+        assert(signal === returnedController.signal);
+        assert(!signal.aborted);
+        controller.abort();
+        assert(signal.aborted);
+
+        // returned controller aborts the fetch too
+        const otherController = requester.fetch({method: 'GET', uri: '/route1', signal: new AbortController().signal}, () => {}, () => {});
+        otherController.abort();
+        assert(window.fetch.secondCall.args[1].signal.aborted);
+    });
+
+    it('GET and HEAD requests without body', (done) => {
+        const requester = new FetchRequester();
+        // let the Fetch API check the arguments
+        window.fetch = sinon.spy((uri, options) => {
+            new Request(uri, options);
+            return fetchWillRespond(200, 'OK', '')();
+        });
+
+        const request = {method: 'GET', uri: 'http://localhost/route1?p1=a', data: {p1: 'a'}};
+        requester.fetch(request,
+            () => {
+                assert(window.fetch.firstCall.args[1].body === undefined);
+                requester.fetch(Object.assign({}, request, {method: 'HEAD'}),
+                    () => {
+                        requester.fetch({method: 'POST', uri: 'http://localhost/route1', data: 'p1=a'},
+                            () => {
+                                assert(window.fetch.thirdCall.args[1].body === 'p1=a');
+                                done();
+                            },
+                            (request, response) => done(response.errors));
+                    },
+                    (request, response) => done(response.errors));
+            },
+            (request, response) => done(response.errors));
+    });
+
+    it('request returns 204', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(204, 'No Content', '');
+
+        requester.fetch({method: 'DELETE', uri: '/route1'},
+            (request, response) => {
+                assert(response.status === 204);
+                assert(response.statusText === 'No Content');
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            });
+    });
+
+    it('request returns 304 with custom success status', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(304, 'Not Modified', '');
+
+        requester.fetch({method: 'GET', uri: '/route1'},
+            (request, response) => {
+                assert(response.status === 304);
+                done();
+            },
+            (request, response) => {
+                done(response.errors);
+            },
+            {successStatus: status => status >= 200 && status < 400});
+    });
+
+    it('request returns 404', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(404, 'page not found', '');
+
+        requester.fetch({method: 'GET', uri: '/route1'}, null,
+            (request, response) => {
+                assert(response.status === 404);
+                assert(response.statusText === 'page not found');
+                assert(response.responseText === '');
+                assert(response.errorThrown === undefined);
+                assert(response.errors.length !== 0);
+                done();
+            });
+    });
+
+    it('request returns 422 with a JSON body', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillRespond(422, 'Unprocessable Entity', '{"email": "invalid"}', {'Content-Type': 'application/problem+json'});
+
+        requester.fetch({method: 'POST', uri: '/route1'}, null,
+            (request, response) => {
+                assert(response.status === 422);
+                assert(response.responseText === '{"email": "invalid"}');
+                assert.deepEqual(response.body, {email: 'invalid'});
+                assert(response.errors.length !== 0);
+                done();
+            });
+    });
+
+    it('request returns network error', (done) => {
+        const requester = new FetchRequester();
+        window.fetch = fetchWillThrow('TypeError');
+
+        requester.fetch({method: 'GET', uri: '/route1'}, null,
+            (request, response) => {
+                assert(response.status === undefined);
+                assert(response.statusText === undefined);
+                assert(response.errorThrown.name === 'TypeError');
+                assert(response.errors.length !== 0);
+                done();
+            });
+    });
+});
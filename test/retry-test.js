@@ -0,0 +1,55 @@
+/*eslint-env mocha*/
+import {assert} from 'chai';
+import sinon from 'sinon';
+import {httpRetryPolicy, retryDelay} from '../lib/retry';
+
+describe('Retry', () => {
+    const policy = Object.assign({}, httpRetryPolicy, {attempts: 4, jitter: 0});
+
+    it('default policy does not retry', () => {
+        assert.strictEqual(retryDelay(httpRetryPolicy, {method: 'GET'}, {status: 503}, 1), undefined);
+    });
+
+    it('exponential backoff', () => {
+        assert.strictEqual(retryDelay(policy, {method: 'GET'}, {status: 503}, 1), 100);
+        assert.strictEqual(retryDelay(policy, {method: 'GET'}, {status: 503}, 2), 200);
+        assert.strictEqual(retryDelay(policy, {method: 'GET'}, {status: 503}, 3), 400);
+        assert.strictEqual(retryDelay(policy, {method: 'GET'}, {status: 503}, 4), undefined);
+    });
+
+    it('max delay', () => {
+        const cappedPolicy = Object.assign({}, policy, {attempts: 10, maxDelay: 300});
+        assert.strictEqual(retryDelay(cappedPolicy, {method: 'GET'}, {status: 503}, 5), 300);
+    });
+
+    it('jitter', () => {
+        const stub_random = sinon.stub(Math, 'random', () => 0.5);
+        try {
+            const jitterPolicy = Object.assign({}, policy, {jitter: 0.5});
+            assert.strictEqual(retryDelay(jitterPolicy, {method: 'GET'}, {status: 503}, 2), 150);
+        } finally {
+            stub_random.restore();
+        }
+    });
+
+    it('retryable methods', () => {
+        assert(retryDelay(policy, {method: 'PUT'}, {status: 503}, 1) !== undefined);
+        assert(retryDelay(policy, {method: 'DELETE'}, {status: 503}, 1) !== undefined);
+        assert.strictEqual(retryDelay(policy, {method: 'POST'}, {status: 503}, 1), undefined);
+        assert.strictEqual(retryDelay(policy, {method: 'PATCH'}, {status: 503}, 1), undefined);
+
+        const postPolicy = Object.assign({}, policy, {methods: ['POST']});
+        assert(retryDelay(postPolicy, {method: 'POST'}, {status: 503}, 1) !== undefined);
+    });
+
+    it('retryable statuses', () => {
+        assert(retryDelay(policy, {method: 'GET'}, {status: 0}, 1) !== undefined);
+        assert(retryDelay(policy, {method: 'GET'}, {errorThrown: {name: 'NetworkError'}}, 1) !== undefined);
+        assert.strictEqual(retryDelay(policy, {method: 'GET'}, {status: 404}, 1), undefined);
+        assert.strictEqual(retryDelay(policy, {method: 'GET'}, {status: 401}, 1), undefined);
+    });
+
+    it('aborted request', () => {
+        assert.strictEqual(retryDelay(policy, {method: 'GET'}, {errorThrown: {name: 'AbortError'}}, 1), undefined);
+    });
+});
@@ -18,6 +18,8 @@ describe('Router', () => {
             assert(typeof router.patch === 'function');
             assert(typeof router.post === 'function');
             assert(typeof router.delete === 'function');
+            assert(typeof router.head === 'function');
+            assert(typeof router.options === 'function');
         });
     });
 
@@ -29,6 +31,10 @@ describe('Router', () => {
         chai.expect(() => {
             router.use('dddd');
         }).to.throw(TypeError);
+        chai.expect(() => {
+            router.use({foo() {}});
+        }).to.throw(TypeError);
+        router.use({updated() {}});
     });
 
     describe('visited method', () => {
@@ -288,6 +294,25 @@ describe('Router', () => {
             assert(r[0].middleware === middleware);
         });
 
+        it('head and options methods', () => {
+            const router = frontexpress.Router();
+            const headMiddleware = new frontexpress.Middleware();
+            const optionsMiddleware = new frontexpress.Middleware();
+
+            router.head('/route1', headMiddleware);
+            router.options('/route1', optionsMiddleware);
+
+            let r = router.routes(application, {uri: '/route1', method: 'HEAD'});
+            assert(r.length === 1);
+            assert(r[0].method === 'HEAD');
+            assert(r[0].middleware === headMiddleware);
+
+            r = router.routes(application, {uri: '/route1', method: 'OPTIONS'});
+            assert(r.length === 1);
+            assert(r[0].method === 'OPTIONS');
+            assert(r[0].middleware === optionsMiddleware);
+        });
+
         it('router with regexp and route with /route1', () => {
             const router = frontexpress.Router(/^\//);
             const middleware = new frontexpress.Middleware();
@@ -1,6 +1,7 @@
 /*eslint-env mocha*/
 import chai, {assert} from 'chai';
 import Settings from '../lib/settings';
+import {httpJsonTransformer} from '../lib/requester';
 
 describe('Settings', () => {
     const settings = new Settings();
@@ -67,6 +68,18 @@ describe('Settings', () => {
         });
     });
 
+    describe('http HEAD and OPTIONS methods transformer', () => {
+        it('check setting rule', () => {
+            const defaultHttpHeadTransformer = settings.get('http HEAD transformer');
+            assert.strictEqual(settings.get('http HEAD transformer'), defaultHttpGetTransformer);
+            assert.strictEqual(settings.get('http OPTIONS transformer'), defaultHttpGetTransformer);
+            assert(defaultHttpHeadTransformer.uri({uri: '/route', data: {a: 'b'}}) === '/route?a=b');
+
+            chai.expect(() => settings.set('http HEAD transformer', {})).to.throw(TypeError);
+            chai.expect(() => settings.set('http OPTIONS transformer', null)).to.throw(TypeError);
+        });
+    });
+
     describe('http PATCH method transformer', () => {
         it('check setting rule', () => {
             assert(settings.get('http PATCH transformer').data);
@@ -186,6 +199,57 @@ describe('Settings', () => {
         });
     });
 
+    describe('http JSON transformer', () => {
+        it('check setting rule', () => {
+            settings.set('http POST transformer', httpJsonTransformer);
+            assert.strictEqual(settings.get('http POST transformer'), httpJsonTransformer);
+
+            const response = () => {};
+            settings.set('http POST transformer', {response});
+            assert.deepEqual(settings.get('http POST transformer'), {response});
+        });
+
+        it('headers', () => {
+            const headersFn = httpJsonTransformer.headers;
+            assert.deepEqual(headersFn({}), {'Content-Type': 'application/json', 'Accept': 'application/json'});
+            assert.deepEqual(headersFn({headers: {'Content-Type': 'b', 'Accept': 'c'}}), {'Content-Type': 'b', 'Accept': 'c'});
+            assert.deepEqual(headersFn({headers: {a: 'b'}}), {a: 'b', 'Content-Type': 'application/json', 'Accept': 'application/json'});
+        });
+
+        it('data', () => {
+            const dataFn = httpJsonTransformer.data;
+            assert.strictEqual(dataFn({}), undefined);
+            assert.strictEqual(dataFn({data: null}), null);
+            assert.strictEqual(dataFn({data: {a: 1, b: ['c', 'd'], e: {f: 'é'}}}), '{"a":1,"b":["c","d"],"e":{"f":"é"}}');
+            assert.strictEqual(dataFn({data: 'test'}), '"test"');
+        });
+
+        it('response', () => {
+            const responseFn = httpJsonTransformer.response;
+            assert.deepEqual(responseFn({response: {responseText: '{"a":1}'}}).data, {a: 1});
+            assert.strictEqual(responseFn({response: {responseText: 'not json'}}).data, undefined);
+            assert.strictEqual(responseFn({response: {}}).data, undefined);
+        });
+    });
+
+    it('http success status', () => {
+        const defaultSuccessStatus = settings.get('http success status');
+        assert(defaultSuccessStatus(200));
+        assert(defaultSuccessStatus(201));
+        assert(defaultSuccessStatus(204));
+        assert(!defaultSuccessStatus(0));
+        assert(!defaultSuccessStatus(304));
+        assert(!defaultSuccessStatus(404));
+
+        chai.expect(() => settings.set('http success status', null)).to.throw(TypeError);
+        chai.expect(() => settings.set('http success status', 200)).to.throw(TypeError);
+
+        const successStatus = status => status === 200;
+        settings.set('http success status', successStatus);
+        assert.strictEqual(settings.get('http success status'), successStatus);
+        settings.set('http success status', defaultSuccessStatus);
+    });
+
     it('route matcher', () => {
         const defaultRouteMatcher = settings.get('route matcher');
         chai.expect(() => settings.set('route matcher', null)).to.throw(TypeError);
@@ -196,4 +260,14 @@ describe('Settings', () => {
         settings.set('route matcher', routeMatcher);
         assert.strictEqual(settings.get('route matcher'), routeMatcher);
     });
+
+    it('error handler', () => {
+        assert(typeof settings.get('error handler') === 'function');
+        chai.expect(() => settings.set('error handler', null)).to.throw(TypeError);
+        chai.expect(() => settings.set('error handler', {})).to.throw(TypeError);
+
+        const errorHandler = () => {};
+        settings.set('error handler', errorHandler);
+        assert.strictEqual(settings.get('error handler'), errorHandler);
+    });
 });